@@ -0,0 +1,134 @@
+// compileCache.js
+// Bounded on-disk LRU of compiled binaries. Entries are keyed by a hash of the
+// project files and the full compiler command line (compiler, language and every
+// flag), so a hit is guaranteed to be the binary the same build would produce.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const CACHE_DIR = process.env.COMPILE_CACHE_DIR || path.join(os.tmpdir(), 'c-runner-cache');
+const MAX_ENTRIES = Number(process.env.COMPILE_CACHE_MAX_ENTRIES) || 200;
+const MAX_BYTES = Number(process.env.COMPILE_CACHE_MAX_BYTES) || 256 * 1024 * 1024;
+
+// key -> { size, compileTimeMs }; Map iteration order doubles as LRU order
+const entries = new Map();
+let totalBytes = 0;
+let ready = null;
+
+function cacheKey(files, compileCmd) {
+  const hash = crypto.createHash('sha256');
+  hash.update(JSON.stringify(compileCmd));
+  for (const file of [...files].sort((a, b) => a.path.localeCompare(b.path))) {
+    hash.update(`\0${file.path}\0${file.contents.length}\0`);
+    hash.update(file.contents);
+  }
+  return hash.digest('hex');
+}
+
+// Load whatever a previous process left behind, least recently used first
+function init() {
+  if (!ready) {
+    ready = (async () => {
+      await fs.promises.mkdir(CACHE_DIR, { recursive: true });
+      const names = await fs.promises.readdir(CACHE_DIR);
+      const found = [];
+      for (const name of names.filter((n) => n.endsWith('.json'))) {
+        const key = name.slice(0, -'.json'.length);
+        try {
+          const meta = JSON.parse(await fs.promises.readFile(path.join(CACHE_DIR, name), 'utf8'));
+          const stat = await fs.promises.stat(binaryPath(key));
+          found.push({ key, size: stat.size, compileTimeMs: meta.compileTimeMs, lastUsed: stat.mtimeMs });
+        } catch (err) {
+          await removeFiles(key);
+        }
+      }
+      found.sort((a, b) => a.lastUsed - b.lastUsed);
+      for (const { key, size, compileTimeMs } of found) {
+        entries.set(key, { size, compileTimeMs });
+        totalBytes += size;
+      }
+      await evict();
+    })();
+  }
+  return ready;
+}
+
+// Copy a cached binary to dest. Returns the entry ({ compileTimeMs }) or null on a miss.
+async function restoreBinary(key, dest) {
+  await init();
+  const entry = entries.get(key);
+  if (!entry) return null;
+
+  try {
+    await fs.promises.copyFile(binaryPath(key), dest);
+    await fs.promises.chmod(dest, 0o755);
+  } catch (err) {
+    // Someone removed the file underneath us; treat it as a miss
+    forget(key);
+    await removeFiles(key);
+    return null;
+  }
+
+  // Move to the most recently used end, and touch the file so a restart keeps the order
+  entries.delete(key);
+  entries.set(key, entry);
+  const now = new Date();
+  fs.promises.utimes(binaryPath(key), now, now).catch(() => {});
+  return entry;
+}
+
+// Store a freshly compiled binary, evicting least recently used entries over the bounds
+async function storeBinary(key, source, compileTimeMs) {
+  await init();
+  const { size } = await fs.promises.stat(source);
+  if (size > MAX_BYTES) return;
+
+  // Write to a temp name first so a concurrent reader never sees a partial binary
+  const tmp = `${binaryPath(key)}.${process.pid}.${Date.now()}.tmp`;
+  await fs.promises.copyFile(source, tmp);
+  await fs.promises.rename(tmp, binaryPath(key));
+  await fs.promises.writeFile(path.join(CACHE_DIR, `${key}.json`), JSON.stringify({ compileTimeMs }));
+
+  forget(key);
+  entries.set(key, { size, compileTimeMs });
+  totalBytes += size;
+  await evict();
+}
+
+function cacheStats() {
+  return { entries: entries.size, bytes: totalBytes, maxEntries: MAX_ENTRIES, maxBytes: MAX_BYTES };
+}
+
+async function evict() {
+  while (entries.size > MAX_ENTRIES || totalBytes > MAX_BYTES) {
+    const oldest = entries.keys().next().value;
+    forget(oldest);
+    await removeFiles(oldest);
+  }
+}
+
+function forget(key) {
+  const entry = entries.get(key);
+  if (entry) {
+    totalBytes -= entry.size;
+    entries.delete(key);
+  }
+}
+
+async function removeFiles(key) {
+  await fs.promises.rm(binaryPath(key), { force: true });
+  await fs.promises.rm(path.join(CACHE_DIR, `${key}.json`), { force: true });
+}
+
+function binaryPath(key) {
+  return path.join(CACHE_DIR, `${key}.bin`);
+}
+
+module.exports = {
+  cacheKey,
+  restoreBinary,
+  storeBinary,
+  cacheStats
+};
@@ -0,0 +1,147 @@
+// compileOptions.js
+// Validates client-supplied compile options against a server-side allowlist and
+// turns them into compiler flags. Nothing from the request reaches the compiler
+// command line unless it maps to an entry below.
+
+// Standards are per language; a C standard is never accepted for C++ or vice versa
+const STANDARDS = {
+  c: {
+    c89: '-std=c89',
+    c99: '-std=c99',
+    c11: '-std=c11',
+    c17: '-std=c17',
+    c2x: '-std=c2x'
+  },
+  cpp: {
+    'c++11': '-std=c++11',
+    'c++14': '-std=c++14',
+    'c++17': '-std=c++17',
+    'c++20': '-std=c++20'
+  }
+};
+
+const DEFAULT_STANDARDS = {
+  c: 'c11',
+  cpp: 'c++17'
+};
+
+const OPTIMIZATION_LEVELS = {
+  O0: '-O0',
+  O1: '-O1',
+  O2: '-O2',
+  O3: '-O3',
+  Os: '-Os',
+  Og: '-Og'
+};
+
+const WARNING_SETS = {
+  none: ['-w'],
+  default: [],
+  all: ['-Wall'],
+  extra: ['-Wall', '-Wextra'],
+  pedantic: ['-Wall', '-Wextra', '-pedantic']
+};
+
+const DEFAULT_COMPILE_OPTIONS = {
+  standard: null, // filled in from DEFAULT_STANDARDS for the language
+  optimization: 'O2',
+  warnings: 'extra',
+  werror: false,
+  defines: {}
+};
+
+const MAX_DEFINES = 16;
+const DEFINE_NAME = /^[A-Za-z_][A-Za-z0-9_]{0,63}$/;
+const DEFINE_VALUE = /^[A-Za-z0-9_.+-]{0,64}$/;
+
+// Returns { options } on success or { error } describing the first invalid field
+function parseCompileOptions(input, language = 'c') {
+  if (input === undefined || input === null) {
+    return {
+      options: { ...DEFAULT_COMPILE_OPTIONS, language, standard: DEFAULT_STANDARDS[language], defines: {} }
+    };
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'compileOptions must be an object' };
+  }
+
+  const known = Object.keys(DEFAULT_COMPILE_OPTIONS);
+  const unknown = Object.keys(input).find((key) => !known.includes(key));
+  if (unknown) return { error: `Unknown compile option: ${unknown}` };
+
+  const {
+    standard = DEFAULT_STANDARDS[language],
+    optimization = DEFAULT_COMPILE_OPTIONS.optimization,
+    warnings = DEFAULT_COMPILE_OPTIONS.warnings,
+    werror = DEFAULT_COMPILE_OPTIONS.werror,
+    defines = {}
+  } = input;
+
+  const standards = STANDARDS[language];
+  if (!Object.prototype.hasOwnProperty.call(standards, standard)) {
+    return { error: `Unsupported ${language} standard: ${standard} (allowed: ${Object.keys(standards).join(', ')})` };
+  }
+  if (!Object.prototype.hasOwnProperty.call(OPTIMIZATION_LEVELS, optimization)) {
+    return { error: `Unsupported optimization level: ${optimization} (allowed: ${Object.keys(OPTIMIZATION_LEVELS).join(', ')})` };
+  }
+  if (!Object.prototype.hasOwnProperty.call(WARNING_SETS, warnings)) {
+    return { error: `Unsupported warning set: ${warnings} (allowed: ${Object.keys(WARNING_SETS).join(', ')})` };
+  }
+  if (typeof werror !== 'boolean') {
+    return { error: 'werror must be a boolean' };
+  }
+
+  const definesResult = parseDefines(defines);
+  if (definesResult.error) return definesResult;
+
+  return {
+    options: { language, standard, optimization, warnings, werror, defines: definesResult.defines }
+  };
+}
+
+// Defines are { NAME: value }; a value of true, null or '' emits a bare -DNAME
+function parseDefines(defines) {
+  if (typeof defines !== 'object' || defines === null || Array.isArray(defines)) {
+    return { error: 'defines must be an object mapping macro names to values' };
+  }
+
+  const names = Object.keys(defines);
+  if (names.length > MAX_DEFINES) {
+    return { error: `Too many defines (maximum is ${MAX_DEFINES})` };
+  }
+
+  const parsed = {};
+  for (const name of names) {
+    if (!DEFINE_NAME.test(name)) return { error: `Invalid macro name: ${name}` };
+
+    let value = defines[name];
+    if (value === true || value === null) value = '';
+    if (typeof value === 'number' && Number.isFinite(value)) value = String(value);
+    if (typeof value !== 'string' || !DEFINE_VALUE.test(value)) {
+      return { error: `Invalid value for macro ${name}` };
+    }
+    parsed[name] = value;
+  }
+
+  return { defines: parsed };
+}
+
+// Flags for an already-validated options object
+function compileFlags(options) {
+  const flags = [
+    STANDARDS[options.language][options.standard],
+    ...WARNING_SETS[options.warnings],
+    OPTIMIZATION_LEVELS[options.optimization]
+  ];
+  if (options.werror) flags.push('-Werror');
+  for (const [name, value] of Object.entries(options.defines)) {
+    flags.push(value === '' ? `-D${name}` : `-D${name}=${value}`);
+  }
+  return flags;
+}
+
+module.exports = {
+  DEFAULT_COMPILE_OPTIONS,
+  parseCompileOptions,
+  compileFlags
+};
@@ -0,0 +1,52 @@
+// compilers.js
+// Registry of the toolchains installed in the runner image. Each entry maps a
+// language to the driver binary and turns validated compile flags and a list of
+// sources into the argv that is run inside the sandbox, so new compilers only
+// need a registerCompiler() call.
+
+const compilers = new Map();
+
+const DEFAULT_COMPILER = 'gcc';
+
+function registerCompiler(name, definition) {
+  if (!definition.commands || typeof definition.buildArgs !== 'function') {
+    throw new Error(`Compiler ${name} needs per-language commands and a buildArgs function`);
+  }
+  compilers.set(name, { name, ...definition });
+}
+
+registerCompiler('gcc', {
+  commands: { c: 'gcc', cpp: 'g++' },
+  buildArgs: (flags, sources, output) => [...flags, ...sources, '-o', output]
+});
+
+registerCompiler('clang', {
+  commands: { c: 'clang', cpp: 'clang++' },
+  // Keep escape codes out of the compile error text shown to the user
+  buildArgs: (flags, sources, output) => ['-fno-color-diagnostics', ...flags, ...sources, '-o', output]
+});
+
+// Returns { compiler } for a registered name that supports the language,
+// or { error } for anything else
+function resolveCompiler(name = DEFAULT_COMPILER, language = 'c') {
+  if (typeof name !== 'string' || !compilers.has(name)) {
+    return { error: `Unsupported compiler: ${name} (allowed: ${[...compilers.keys()].join(', ')})` };
+  }
+  const compiler = compilers.get(name);
+  if (!compiler.commands[language]) {
+    return { error: `Compiler ${name} does not support language ${language}` };
+  }
+  return { compiler };
+}
+
+// Full command line (binary first) for compiling sources into output
+function compileCommand(compiler, language, flags, sources, output = 'main') {
+  return [compiler.commands[language], ...compiler.buildArgs(flags, sources, output)];
+}
+
+module.exports = {
+  DEFAULT_COMPILER,
+  registerCompiler,
+  resolveCompiler,
+  compileCommand
+};
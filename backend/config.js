@@ -0,0 +1,34 @@
+// config.js
+// Server settings shared by the REST API and the interactive WebSocket endpoint,
+// which are served from the same port.
+//
+// ALLOWED_ORIGINS is a comma-separated list of browser origins (e.g.
+// http://localhost:3000) that may call the API and open interactive sessions.
+// Unset allows any origin. Requests without an Origin header don't come from a
+// browser page and are always let through.
+
+const PORT = Number(process.env.PORT) || 3001;
+const INTERACTIVE_PATH = '/api/interactive';
+
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || '')
+  .split(',')
+  .map((origin) => origin.trim().replace(/\/$/, ''))
+  .filter(Boolean);
+
+function isOriginAllowed(origin) {
+  if (!origin || ALLOWED_ORIGINS.length === 0) return true;
+  return ALLOWED_ORIGINS.includes(origin);
+}
+
+// Options for the cors middleware
+const corsOptions = {
+  origin: (origin, callback) => callback(null, isOriginAllowed(origin))
+};
+
+module.exports = {
+  PORT,
+  INTERACTIVE_PATH,
+  ALLOWED_ORIGINS,
+  isOriginAllowed,
+  corsOptions
+};
@@ -0,0 +1,167 @@
+// containerPool.js
+// Keeps a number of runner containers started ahead of time so compile and run
+// steps can exec into them instead of paying for a new container on every
+// request. Each container has its own size-limited tmpfs at /pool; every run
+// gets a fresh subdirectory in it. After a run all leftover processes and files
+// are killed/removed, and a container is destroyed after MAX_USES runs or as
+// soon as anything about it looks wrong.
+
+const { v4: uuidv4 } = require('uuid');
+const docker = require('./dockerApi');
+const { DEFAULT_LIMITS } = require('./limits');
+
+const POOL_SIZE = Number(process.env.RUNNER_POOL_SIZE ?? 2);
+const MAX_USES = Number(process.env.RUNNER_POOL_MAX_USES) || 25;
+const HEALTH_CHECK_INTERVAL_MS = 30000;
+
+const idle = [];
+const busy = new Set();
+let starting = 0;
+let failures = 0;
+let shuttingDown = false;
+let healthTimer = null;
+// Set by the Docker sandbox driver when it starts the pool
+let containerConfig = null;
+
+// containerConfig(options) builds the create config the driver uses for its own
+// containers, so pool containers get the same image and isolation settings
+function startPool({ containerConfig: config }) {
+  if (POOL_SIZE <= 0) return;
+  containerConfig = config;
+  replenish();
+  healthTimer = setInterval(checkIdleContainers, HEALTH_CHECK_INTERVAL_MS);
+  healthTimer.unref();
+}
+
+// Start containers until idle + busy + starting reaches POOL_SIZE
+function replenish() {
+  while (!shuttingDown && idle.length + busy.size + starting < POOL_SIZE) {
+    starting++;
+    createContainer()
+      .then((container) => {
+        if (shuttingDown) return destroyContainer(container);
+        idle.push(container);
+      })
+      .catch((err) => {
+        failures++;
+        console.error('Failed to start pool container:', err.message);
+      })
+      .finally(() => {
+        starting--;
+      });
+  }
+}
+
+async function createContainer() {
+  const name = `c-runner-pool-${uuidv4()}`;
+
+  try {
+    await docker.createContainer(name, containerConfig({
+      cmd: ['sleep', 'infinity'],
+      workdir: '/pool',
+      workspaceTmpfs: '/pool',
+      limits: DEFAULT_LIMITS,
+      pool: true
+    }));
+    await docker.startContainer(name);
+  } catch (err) {
+    await docker.removeContainer(name).catch(() => {});
+    throw err;
+  }
+
+  return { name, uses: 0 };
+}
+
+// Hand out an idle container for a run, or null when the pool is disabled,
+// empty, or the run needs container limits the pool wasn't started with
+function acquireContainer({ memoryMb, cpus, pids }) {
+  if (idle.length === 0) return null;
+  if (memoryMb !== DEFAULT_LIMITS.memoryMb || cpus !== DEFAULT_LIMITS.cpus || pids !== DEFAULT_LIMITS.pids) return null;
+  const container = idle.pop();
+  busy.add(container);
+  return container;
+}
+
+// Clean a container after a run and put it back, or replace it
+async function releaseContainer(container) {
+  busy.delete(container);
+  container.uses++;
+
+  let healthy = container.uses < MAX_USES && !shuttingDown;
+  if (healthy) {
+    try {
+      // As the sandbox user (root has no CAP_KILL in there): kill everything the
+      // program left running (pid 1 and this shell are spared) and wipe /pool and
+      // /tmp, the only places it could write to
+      const exitCode = await docker.runExec(container.name, {
+        User: '1000:1000',
+        Cmd: ['sh', '-c', 'kill -9 -1; rm -rf /pool/* /pool/.[!.]* /tmp/* /tmp/.[!.]* 2>/dev/null; true']
+      }, { timeout: 5000 });
+      healthy = exitCode === 0;
+    } catch (err) {
+      healthy = false;
+    }
+  }
+
+  if (healthy) {
+    idle.push(container);
+  } else {
+    await destroyContainer(container);
+    replenish();
+  }
+}
+
+async function destroyContainer(container) {
+  try {
+    await docker.removeContainer(container.name);
+  } catch (err) {
+    console.error(`Failed to remove pool container ${container.name}:`, err.message);
+  }
+}
+
+// Drop idle containers that have stopped (OOM, docker restart, ...)
+async function checkIdleContainers() {
+  for (const container of [...idle]) {
+    let running = false;
+    try {
+      const { State: state } = await docker.inspectContainer(container.name);
+      running = state.Running;
+    } catch (err) {
+      running = false;
+    }
+    if (!running && idle.includes(container)) {
+      idle.splice(idle.indexOf(container), 1);
+      await destroyContainer(container);
+    }
+  }
+  replenish();
+}
+
+function poolStats() {
+  return {
+    enabled: POOL_SIZE > 0,
+    size: POOL_SIZE,
+    idle: idle.length,
+    busy: busy.size,
+    starting,
+    failures,
+    healthy: POOL_SIZE <= 0 || idle.length + busy.size > 0
+  };
+}
+
+async function shutdownPool() {
+  shuttingDown = true;
+  if (healthTimer) clearInterval(healthTimer);
+  const all = [...idle, ...busy];
+  idle.length = 0;
+  busy.clear();
+  await Promise.all(all.map(destroyContainer));
+}
+
+module.exports = {
+  startPool,
+  acquireContainer,
+  releaseContainer,
+  poolStats,
+  shutdownPool
+};
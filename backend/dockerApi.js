@@ -0,0 +1,215 @@
+// dockerApi.js
+// Minimal Docker Engine API client over the daemon's Unix socket (DOCKER_HOST
+// when it is a unix:// URL, /var/run/docker.sock otherwise). Covers what the
+// sandbox needs: containers (list, create, start, attach, wait, inspect, kill,
+// resize, remove) and exec instances. Calls throw an Error carrying the daemon's
+// message and `statusCode`; attach and exec start resolve with the hijacked
+// connection.
+
+const http = require('http');
+
+const DOCKER_SOCKET = (process.env.DOCKER_HOST || '').startsWith('unix://')
+  ? process.env.DOCKER_HOST.slice('unix://'.length)
+  : '/var/run/docker.sock';
+const API_VERSION = process.env.DOCKER_API_VERSION || '1.41';
+const REQUEST_TIMEOUT_MS = 30000;
+
+// Stream ids in the multiplexed attach/exec protocol
+const STREAM_NAMES = { 1: 'stdout', 2: 'stderr' };
+
+function apiPath(pathname, query) {
+  const search = query ? `?${new URLSearchParams(query)}` : '';
+  return `/v${API_VERSION}${pathname}${search}`;
+}
+
+function apiError(statusCode, text) {
+  let message = text;
+  try {
+    message = JSON.parse(text).message || text;
+  } catch (err) {
+    // Not JSON; use the body as is
+  }
+  const error = new Error(`Docker API error ${statusCode}: ${message.trim()}`);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// JSON request; resolves with the parsed body (null when empty). timeout 0
+// waits forever, for long polls such as wait.
+function request(method, pathname, { query, body, timeout = REQUEST_TIMEOUT_MS } = {}) {
+  return new Promise((resolve, reject) => {
+    const payload = body === undefined ? null : JSON.stringify(body);
+    const req = http.request({
+      socketPath: DOCKER_SOCKET,
+      method,
+      path: apiPath(pathname, query),
+      headers: payload ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } : {}
+    }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf8');
+        if (res.statusCode >= 400) return reject(apiError(res.statusCode, text));
+        resolve(text ? JSON.parse(text) : null);
+      });
+      res.on('error', reject);
+    });
+    if (timeout) {
+      req.setTimeout(timeout, () => req.destroy(new Error(`Docker API ${method} ${pathname} timed out`)));
+    }
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+// Request that the daemon upgrades to a raw stream; resolves with the socket
+function hijack(pathname, { query, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const payload = body === undefined ? '' : JSON.stringify(body);
+    const req = http.request({
+      socketPath: DOCKER_SOCKET,
+      method: 'POST',
+      path: apiPath(pathname, query),
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(payload),
+        Connection: 'Upgrade',
+        Upgrade: 'tcp'
+      }
+    });
+    req.setTimeout(REQUEST_TIMEOUT_MS, () => req.destroy(new Error(`Docker API POST ${pathname} timed out`)));
+    req.on('upgrade', (res, socket, head) => {
+      req.setTimeout(0);
+      if (head.length > 0) socket.unshift(head);
+      resolve(socket);
+    });
+    req.on('response', (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => reject(apiError(res.statusCode, Buffer.concat(chunks).toString('utf8'))));
+    });
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+// Split a non-TTY attach/exec stream into its stdout and stderr frames: each is
+// an 8-byte header (stream id, 3 zero bytes, big-endian payload length) followed
+// by the payload. onFrame(streamName, buffer) is called for each of them.
+function demultiplex(stream, onFrame) {
+  let pending = Buffer.alloc(0);
+  stream.on('data', (chunk) => {
+    pending = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+    while (pending.length >= 8) {
+      const size = pending.readUInt32BE(4);
+      if (pending.length < 8 + size) break;
+      const name = STREAM_NAMES[pending[0]];
+      if (name && size > 0) onFrame(name, pending.subarray(8, 8 + size));
+      pending = pending.subarray(8 + size);
+    }
+  });
+}
+
+// filters as the API takes them, e.g. { label: ['key=value'] }
+function listContainers(filters) {
+  return request('GET', '/containers/json', { query: { all: 1, filters: JSON.stringify(filters) } });
+}
+
+function createContainer(name, config) {
+  return request('POST', '/containers/create', { query: { name }, body: config });
+}
+
+function startContainer(id) {
+  return request('POST', `/containers/${id}/start`);
+}
+
+// Call before start so no output is missed
+function attachContainer(id, { stdin = false } = {}) {
+  return hijack(`/containers/${id}/attach`, {
+    query: { stream: 1, stdout: 1, stderr: 1, stdin: stdin ? 1 : 0 }
+  });
+}
+
+// Resolves with { StatusCode } once the started container has stopped
+function waitContainer(id) {
+  return request('POST', `/containers/${id}/wait`, { query: { condition: 'not-running' }, timeout: 0 });
+}
+
+function inspectContainer(id) {
+  return request('GET', `/containers/${id}/json`);
+}
+
+function killContainer(id, signal = 'SIGKILL') {
+  return request('POST', `/containers/${id}/kill`, { query: { signal } });
+}
+
+function resizeContainer(id, { cols, rows }) {
+  return request('POST', `/containers/${id}/resize`, { query: { w: cols, h: rows } });
+}
+
+// Kills the container first if it is still running; a container that is
+// already gone is not an error
+async function removeContainer(id) {
+  try {
+    await request('DELETE', `/containers/${id}`, { query: { force: 1, v: 1 } });
+  } catch (err) {
+    if (err.statusCode !== 404) throw err;
+  }
+}
+
+function createExec(id, config) {
+  return request('POST', `/containers/${id}/exec`, {
+    body: { AttachStdout: true, AttachStderr: true, ...config }
+  });
+}
+
+// Resolves with the multiplexed output stream of the exec instance
+function startExec(execId) {
+  return hijack(`/exec/${execId}/start`, { body: { Detach: false, Tty: false } });
+}
+
+function inspectExec(execId) {
+  return request('GET', `/exec/${execId}/json`);
+}
+
+// Run a command to completion; resolves with its exit code. `input` is written
+// to its stdin, which is then closed; onOutput(streamName, buffer) receives its
+// output, which is discarded otherwise.
+async function runExec(id, config, { timeout = REQUEST_TIMEOUT_MS, input = null, onOutput = null } = {}) {
+  const exec = await createExec(id, { ...config, AttachStdin: input !== null });
+  const stream = await startExec(exec.Id);
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      stream.destroy();
+      reject(new Error(`exec in ${id} timed out`));
+    }, timeout);
+    stream.on('close', () => {
+      clearTimeout(timer);
+      resolve();
+    });
+    stream.on('error', reject);
+    if (onOutput) demultiplex(stream, onOutput);
+    else stream.resume();
+    // Half-close so the command sees the end of its input
+    if (input !== null) stream.end(input);
+  });
+  const { ExitCode } = await inspectExec(exec.Id);
+  return ExitCode;
+}
+
+module.exports = {
+  demultiplex,
+  listContainers,
+  createContainer,
+  startContainer,
+  attachContainer,
+  waitContainer,
+  inspectContainer,
+  killContainer,
+  resizeContainer,
+  removeContainer,
+  createExec,
+  startExec,
+  inspectExec,
+  runExec
+};
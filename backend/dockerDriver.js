@@ -0,0 +1,432 @@
+// dockerDriver.js
+// Sandbox driver that runs every step in a container of the runner image, either
+// by exec'ing into a warm pool container or in a fresh container. The workspace
+// lives on a size-limited tmpfs: the pool container's /pool, or for fresh
+// containers a tmpfs volume that a small holder container keeps mounted between
+// steps. Its host directory is mirrored into the tmpfs before every step and the
+// regular files there are copied back after it, so the host never holds more
+// than the tmpfs does. Containers are driven through the Engine API
+// (dockerApi.js), so no docker CLI is forked and no command line is ever parsed
+// by a shell on the host. An optional OCI runtime (e.g. gVisor's runsc) is
+// applied to every container, pooled ones included. Every container drops all
+// capabilities, can't gain privileges, runs under the seccomp profile and has a
+// read-only root; only the workspace and a size-limited tmpfs at /tmp are writable.
+// Containers carry labels with their run id, owning process and deadline so the
+// reaper can find the ones a crashed server left behind.
+
+const { EventEmitter } = require('events');
+const { StringDecoder } = require('string_decoder');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const docker = require('./dockerApi');
+const { createOutputCollector } = require('./sandboxProcess');
+const { packDirectory, createExtractor } = require('./workspaceArchive');
+const { DEFAULT_LIMITS, SCRATCH_TMPFS_MB, WORKSPACE_TMPFS_MB, dockerHostLimits } = require('./limits');
+const { seccompProfile } = require('./seccomp');
+const { OWNER, INSTANCE_ID, isOrphaned, workspaceOpened, workspaceClosed } = require('./reaper');
+const {
+  startPool,
+  acquireContainer,
+  releaseContainer,
+  poolStats,
+  shutdownPool
+} = require('./containerPool');
+
+const RUNNER_IMAGE = process.env.RUNNER_IMAGE || 'c-runner:latest';
+
+// How long the attach stream may lag behind the container's exit
+const DRAIN_TIMEOUT_MS = 1000;
+// Headroom for creating and starting a container on top of its time limit
+const DEADLINE_MARGIN_MS = 30000;
+
+// Mirror the tar on stdin into directory $1, and archive the regular files in $1
+const PUSH_SCRIPT = 'mkdir -p "$1" && find "$1" -mindepth 1 -delete && tar -x -f - -C "$1"';
+const PULL_SCRIPT = 'cd "$1" && find . -type f -print0 | tar -c -f - --null -T -';
+
+// Anonymous tmpfs volume of a fresh container workspace; removed with its holder
+const WORKSPACE_VOLUME = {
+  Type: 'volume',
+  Target: '/workspace',
+  VolumeOptions: {
+    DriverConfig: {
+      Name: 'local',
+      Options: { type: 'tmpfs', device: 'tmpfs', o: `size=${WORKSPACE_TMPFS_MB}m,nosuid,nodev` }
+    }
+  }
+};
+
+const LABELS = {
+  runId: 'c-runner.run-id',
+  owner: 'c-runner.owner',
+  instance: 'c-runner.instance',
+  // Epoch ms after which the container is only left over
+  deadline: 'c-runner.deadline',
+  pool: 'c-runner.pool'
+};
+
+// Containers created by this process and not removed yet; shutdown removes
+// whatever is left so an interrupted server doesn't leave them running
+const liveContainers = new Set();
+
+function createDockerDriver({ runtime = null } = {}) {
+  // Create config shared by every container this driver starts. Pool containers
+  // serve many runs and have neither run id nor deadline.
+  // workspaceTmpfs mounts the workspace tmpfs at that path instead of `mounts`.
+  function containerConfig({
+    cmd, workdir = '/workspace', mounts, workspaceTmpfs = null, env = [], limits, allowPtrace = false,
+    tty = false, runId = null, deadline = null, pool = false
+  }) {
+    return {
+      Image: RUNNER_IMAGE,
+      Cmd: cmd,
+      WorkingDir: workdir,
+      User: '1000:1000',
+      Env: env,
+      Tty: tty,
+      OpenStdin: tty,
+      AttachStdin: tty,
+      AttachStdout: true,
+      AttachStderr: true,
+      Labels: {
+        [LABELS.owner]: OWNER,
+        [LABELS.instance]: INSTANCE_ID,
+        ...(runId ? { [LABELS.runId]: runId } : {}),
+        ...(deadline ? { [LABELS.deadline]: String(deadline) } : {}),
+        ...(pool ? { [LABELS.pool]: 'true' } : {})
+      },
+      HostConfig: {
+        ...(runtime ? { Runtime: runtime } : {}),
+        // The program would be pid 1 in a TTY container, and pid 1 ignores
+        // INT, TERM and QUIT unless it handles them; docker-init forwards them
+        Init: tty,
+        Mounts: mounts,
+        NetworkMode: 'none',
+        CapDrop: ['ALL'],
+        SecurityOpt: ['no-new-privileges', `seccomp=${seccompProfile({ allowPtrace })}`],
+        ReadonlyRootfs: true,
+        Tmpfs: {
+          '/tmp': `rw,noexec,nosuid,nodev,size=${SCRATCH_TMPFS_MB}m`,
+          ...(workspaceTmpfs ? { [workspaceTmpfs]: `rw,exec,nosuid,nodev,size=${WORKSPACE_TMPFS_MB}m` } : {})
+        },
+        ...dockerHostLimits(limits)
+      }
+    };
+  }
+
+  function workspaceConfig(workspace, options, cmd) {
+    const mounts = [{ Type: 'volume', Source: workspace.volume, Target: '/workspace' }];
+    return containerConfig({ ...options, cmd, runId: workspace.runId, mounts });
+  }
+
+  function stepName(workspace) {
+    return `${path.basename(workspace.dir)}-${crypto.randomBytes(4).toString('hex')}`;
+  }
+
+  // Run argv in the workspace's sandbox. Resolves with { result, state }: result
+  // has runSandboxProcess's shape, state is the fresh container's own view of how
+  // it ended when `inspect` is set (null for pooled runs).
+  async function runStep(workspace, argv, { limits, env = [], allowPtrace = false, onOutput, inspect = false }) {
+    const options = { timeout: limits.timeoutMs, maxOutputBytes: limits.outputBytes, onOutput };
+    await pushWorkspace(workspace);
+    let step;
+    // Pool containers were started with the isolation settings and resource limits already applied
+    if (workspace.container) {
+      step = await execStep(workspace.container.name, { Cmd: argv, WorkingDir: workspace.workdir, Env: env }, options);
+    } else {
+      const deadline = Date.now() + limits.timeoutMs + DEADLINE_MARGIN_MS;
+      const config = workspaceConfig(workspace, { limits, env, allowPtrace, deadline }, argv);
+      step = await containerStep(stepName(workspace), config, { ...options, inspect });
+    }
+    await pullWorkspace(workspace);
+    return step;
+  }
+
+  // Start the container that keeps a fresh workspace's tmpfs volume mounted
+  // between steps and copies files in and out of it
+  async function createHolder(name, runId) {
+    liveContainers.add(name);
+    try {
+      await docker.createContainer(name, containerConfig({
+        cmd: ['sleep', 'infinity'],
+        mounts: [WORKSPACE_VOLUME],
+        limits: DEFAULT_LIMITS,
+        runId
+      }));
+      await docker.startContainer(name);
+      const { Mounts: mounts } = await docker.inspectContainer(name);
+      return mounts.find((mount) => mount.Destination === WORKSPACE_VOLUME.Target).Name;
+    } catch (err) {
+      await removeContainer(name);
+      throw err;
+    }
+  }
+
+  return {
+    start: () => startPool({ containerConfig }),
+    async shutdown() {
+      await shutdownPool();
+      await Promise.all([...liveContainers].map(removeContainer));
+    },
+    stats: poolStats,
+
+    // Remove containers past their deadline or left by a server that is gone;
+    // resolves with how many were removed
+    async reap() {
+      const containers = await docker.listContainers({ label: [LABELS.owner] });
+      const now = Date.now();
+      const leftovers = containers.filter(({ Labels: labels }) => {
+        const deadline = Number(labels[LABELS.deadline]);
+        return (deadline && now > deadline) ||
+          isOrphaned({ owner: labels[LABELS.owner], instance: labels[LABELS.instance] });
+      });
+      await Promise.all(leftovers.map((container) => removeContainer(container.Names[0].replace(/^\//, ''))));
+      return leftovers.length;
+    },
+
+    // A warm pool container when one with matching limits is idle (and the caller
+    // allows it), otherwise a tmpfs volume for fresh containers to mount, held by
+    // a container of the same name as the workspace. Pool containers run under
+    // the default seccomp profile, so runs that need ptrace must not be pooled.
+    async prepare(runId, { limits, pooled = true }) {
+      const name = `c-runner-${runId}`;
+      const dir = path.join(os.tmpdir(), name);
+      const container = pooled ? acquireContainer(limits) : null;
+      const workspace = container
+        ? { runId, dir, container, holder: container.name, workdir: `/pool/${name}` }
+        : { runId, dir, container: null, holder: name, volume: await createHolder(name, runId), workdir: '/workspace' };
+      await fs.promises.mkdir(workspace.dir, { recursive: true });
+      workspaceOpened(workspace.dir);
+      return workspace;
+    },
+
+    async compile(workspace, argv, { limits, onOutput }) {
+      console.log('Compiling:', argv.join(' '));
+      const { result } = await runStep(workspace, argv, { limits, onOutput });
+      return result;
+    },
+
+    // Fresh containers are kept until they have been inspected so the exit
+    // status comes from Docker's container state
+    run(workspace, command, { limits, env = [], allowPtrace = false, onOutput }) {
+      console.log('Running program:', command);
+      return runStep(workspace, ['sh', '-c', command], { limits, env, allowPtrace, onOutput, inspect: true });
+    },
+
+    // A TTY container behind a node-pty-like object: 'data' (text) and 'exit'
+    // (exitCode) events, write(), resize() and kill([signal])
+    spawnInteractive(workspace, command, { limits, cols, rows, maxDurationMs }) {
+      const deadline = Date.now() + maxDurationMs + DEADLINE_MARGIN_MS;
+      const config = workspaceConfig(workspace, { limits, env: ['TERM=xterm-256color'], tty: true, deadline }, ['sh', '-c', command]);
+      return spawnTerminal(stepName(workspace), config, { cols, rows, setup: () => pushWorkspace(workspace) });
+    },
+
+    async cleanup(workspace) {
+      await fs.promises.rm(workspace.dir, { recursive: true, force: true });
+      workspaceClosed(workspace.dir);
+      if (workspace.container) await releaseContainer(workspace.container);
+      else await removeContainer(workspace.holder);
+    }
+  };
+}
+
+// Create, attach, start and wait for a one-off container, then remove it. With
+// `inspect`, its final state is read before it is removed.
+async function containerStep(name, config, { timeout, maxOutputBytes, onOutput, inspect }) {
+  const stop = () => docker.killContainer(name).catch(() => {});
+  const output = createOutputCollector({ maxOutputBytes, onOutput, onLimit: stop });
+  let stream = null;
+  let timedOut = false;
+  let timer = null;
+  let code = null;
+  let error = null;
+  let state = null;
+
+  liveContainers.add(name);
+  try {
+    await docker.createContainer(name, config);
+    // Attach before starting so no output is missed
+    stream = await docker.attachContainer(name);
+    const drained = new Promise((resolve) => stream.on('close', resolve));
+    docker.demultiplex(stream, output.push);
+    await docker.startContainer(name);
+    timer = setTimeout(() => {
+      timedOut = true;
+      stop();
+    }, timeout);
+
+    ({ StatusCode: code } = await docker.waitContainer(name));
+    // The stream normally ends right after the exit; never hang on it
+    await Promise.race([drained, delay(DRAIN_TIMEOUT_MS)]);
+    if (inspect) state = await inspectContainer(name);
+  } catch (err) {
+    error = err;
+  } finally {
+    clearTimeout(timer);
+    if (stream) stream.destroy();
+    await removeContainer(name);
+  }
+
+  return { result: stepResult(output, { code, timedOut, error }), state };
+}
+
+// Exec into a pool container. An exec can't be killed through the API, so a
+// stopped one is only detached from; whatever it left running is killed when
+// the container is released.
+async function execStep(container, execConfig, { timeout, maxOutputBytes, onOutput }) {
+  let stream = null;
+  const stop = () => stream && stream.destroy();
+  const output = createOutputCollector({ maxOutputBytes, onOutput, onLimit: stop });
+  let timedOut = false;
+  let timer = null;
+  let code = null;
+  let error = null;
+
+  try {
+    const exec = await docker.createExec(container, execConfig);
+    stream = await docker.startExec(exec.Id);
+    const closed = new Promise((resolve) => stream.on('close', resolve));
+    docker.demultiplex(stream, output.push);
+    timer = setTimeout(() => {
+      timedOut = true;
+      stop();
+    }, timeout);
+
+    await closed;
+    // Null while the command is still running, i.e. when we detached from it
+    ({ ExitCode: code } = await docker.inspectExec(exec.Id));
+  } catch (err) {
+    error = err;
+  } finally {
+    clearTimeout(timer);
+  }
+
+  return { result: stepResult(output, { code, timedOut, error }), state: null };
+}
+
+// Make the workspace's tmpfs a copy of its host directory
+async function pushWorkspace(workspace) {
+  const input = await packDirectory(workspace.dir);
+  const exitCode = await docker.runExec(workspace.holder, {
+    Cmd: ['sh', '-c', PUSH_SCRIPT, 'sh', workspace.workdir]
+  }, { input });
+  if (exitCode !== 0) throw new Error(`Failed to copy the workspace into ${workspace.holder} (exit code ${exitCode})`);
+}
+
+// Copy the regular files a step left in the workspace's tmpfs to its host directory
+async function pullWorkspace(workspace) {
+  const extractor = createExtractor(workspace.dir);
+  try {
+    await docker.runExec(workspace.holder, {
+      Cmd: ['sh', '-c', PULL_SCRIPT, 'sh', workspace.workdir]
+    }, { onOutput: (stream, chunk) => stream === 'stdout' && extractor.write(chunk) });
+  } finally {
+    extractor.end();
+  }
+}
+
+function stepResult(output, { code, timedOut, error }) {
+  const { stdout, stderr, truncated, outputBytes } = output.result();
+  return {
+    stdout,
+    stderr: error ? `${stderr}${error.message}` : stderr,
+    code: error ? null : code,
+    signal: null,
+    timedOut,
+    truncated,
+    outputBytes,
+    error
+  };
+}
+
+// setup() runs before the container is created
+function spawnTerminal(name, config, { cols, rows, setup }) {
+  const term = new EventEmitter();
+  const pendingInput = [];
+  let stream = null;
+  let started = false;
+  let killed = false;
+
+  term.write = (data) => {
+    if (stream) stream.write(data);
+    else pendingInput.push(data);
+  };
+  term.resize = (newCols, newRows) => {
+    docker.resizeContainer(name, { cols: newCols, rows: newRows }).catch(() => {});
+  };
+  // Deliver a signal to the program; SIGKILL (the default) removes the container
+  term.kill = (signal = 'SIGKILL') => {
+    if (signal !== 'SIGKILL') {
+      if (started) docker.killContainer(name, signal).catch(() => {});
+      return;
+    }
+    killed = true;
+    removeContainer(name);
+  };
+
+  (async () => {
+    let exitCode = -1;
+    let attached = null;
+    liveContainers.add(name);
+    try {
+      await setup();
+      // Killed while the workspace was being copied in
+      if (killed) return;
+      await docker.createContainer(name, config);
+      // TTY output is a single raw stream, there is nothing to demultiplex
+      attached = await docker.attachContainer(name, { stdin: true });
+      const decoder = new StringDecoder('utf8');
+      attached.on('data', (chunk) => term.emit('data', decoder.write(chunk)));
+      attached.on('error', () => {});
+      await docker.startContainer(name);
+      started = true;
+      await docker.resizeContainer(name, { cols, rows });
+      stream = attached;
+      for (const data of pendingInput.splice(0)) stream.write(data);
+
+      ({ StatusCode: exitCode } = await docker.waitContainer(name));
+    } catch (err) {
+      if (!killed) term.emit('data', `\r\n${err.message}\r\n`);
+    } finally {
+      if (attached) attached.destroy();
+      await removeContainer(name);
+      term.emit('exit', exitCode);
+    }
+  })();
+
+  return term;
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms).unref());
+}
+
+// Docker's view of a stopped (or still running) container; null if it is gone
+async function inspectContainer(name) {
+  try {
+    const { State: state } = await docker.inspectContainer(name);
+    return {
+      running: state.Running,
+      exitCode: state.ExitCode,
+      oomKilled: state.OOMKilled,
+      startedAt: Date.parse(state.StartedAt),
+      finishedAt: Date.parse(state.FinishedAt)
+    };
+  } catch (err) {
+    return null;
+  }
+}
+
+async function removeContainer(name) {
+  try {
+    await docker.removeContainer(name);
+    liveContainers.delete(name);
+  } catch (err) {
+    console.error(`Failed to remove container ${name}:`, err.message);
+  }
+}
+
+module.exports = {
+  createDockerDriver
+};
@@ -0,0 +1,30 @@
+// frameBuffer.js
+// Ring buffer of the frames an interactive session has sent, so a client that
+// reconnects can be sent what it missed. Once the kept frames add up to more
+// than maxBytes the oldest ones are dropped; a client notices from the gap in
+// `seq` that part of the output is gone.
+
+function createFrameBuffer(maxBytes) {
+  const frames = [];
+  let bytes = 0;
+
+  return {
+    push(seq, text) {
+      const size = Buffer.byteLength(text);
+      frames.push({ seq, text, size });
+      bytes += size;
+      while (bytes > maxBytes && frames.length > 0) {
+        bytes -= frames.shift().size;
+      }
+    },
+
+    // Text of the kept frames after `seq`, oldest first
+    since(seq) {
+      return frames.filter((frame) => frame.seq > seq).map((frame) => frame.text);
+    }
+  };
+}
+
+module.exports = {
+  createFrameBuffer
+};
@@ -1,176 +1,590 @@
 const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
-const { v4: uuidv4 } = require('uuid');
-const { execFile } = require('child_process');
 const fs = require('fs');
 const path = require('path');
-const os = require('os');
+const { parseCompileOptions, compileFlags } = require('./compileOptions');
+const { resolveCompiler, compileCommand } = require('./compilers');
+const { resolveLanguage, isSourceFile } = require('./languages');
+const {
+  SANITIZER_MEMORY_MB,
+  parseSanitizers,
+  sanitizerFlags,
+  sanitizerEnv,
+  extractSanitizerReports
+} = require('./sanitizers');
+const {
+  VALGRIND_XML_FILE,
+  VALGRIND_TIMEOUT_MS,
+  VALGRIND_MEMORY_MB,
+  valgrindCommand,
+  readValgrindReport
+} = require('./valgrind');
+const { VERDICTS, parseJudgeRequest, judgeCase, overallVerdict } = require('./judge');
+const { cacheKey, restoreBinary, storeBinary, cacheStats } = require('./compileCache');
+const { configuredDriver } = require('./sandboxDrivers');
+const { submitJob, getJob, retryAfterSeconds, queueStats } = require('./jobQueue');
+const { parseCallbackUrl, trackSubmission, getSubmission } = require('./submissions');
+const { openChannel, hasChannel, publish, closeChannel, subscribe } = require('./runEvents');
+const { COMPILE_LIMITS, parseLimits, limitedCommand } = require('./limits');
+const { USAGE_FILE, measuredCommand, readUsage, runStatus } = require('./runStatus');
+const { startReaper, stopReaper } = require('./reaper');
+const { PORT, INTERACTIVE_PATH, corsOptions } = require('./config');
+const { attachInteractiveServer } = require('./interactiveServer');
 
 const app = express();
-const PORT = process.env.PORT || 3001;
+const sandbox = configuredDriver();
 
 // Middleware
-app.use(cors());
+app.use(cors(corsOptions));
 app.use(bodyParser.json({ limit: '1mb' }));
 app.use(bodyParser.urlencoded({ extended: true }));
 
 // Health check endpoint
 app.get('/health', (req, res) => {
-  res.json({ status: 'healthy', timestamp: new Date().toISOString() });
+  // Only drivers that keep a container pool report one
+  const pool = sandbox.stats ? sandbox.stats() : null;
+  res.json({
+    status: !pool || pool.healthy ? 'healthy' : 'degraded',
+    timestamp: new Date().toISOString(),
+    sandbox: sandbox.name,
+    compileCache: cacheStats(),
+    pool,
+    queue: queueStats()
+  });
 });
 
-// Main code execution endpoint
+// Limits for multi-file projects
+const MAX_PROJECT_FILES = 32;
+const RESERVED_FILE_NAMES = new Set(['main', 'input.txt', VALGRIND_XML_FILE, USAGE_FILE]);
+
+// `run` executes the binary directly; `valgrind` runs it under memcheck
+const RUN_MODES = ['run', 'valgrind'];
+
 // Main code execution endpoint
 app.post('/api/run', async (req, res) => {
-  const { code, stdin = '' } = req.body;
+  const { stdin = '', stream = false } = req.body;
 
   // Input validation
-  if (!code || typeof code !== 'string') {
+  const request = parseRunRequest(req.body);
+  if (request.error) {
     return res.status(400).json({
       stdout: '',
-      stderr: 'Invalid code provided',
+      stderr: request.error,
       compileError: '',
       exitCode: -1,
       timedOut: false
     });
   }
 
-  const runId = uuidv4();
-  const workspaceDir = path.join(os.tmpdir(), `c-runner-${runId}`);
+  const job = submitJob((queued) => runProgram(request, stdin, queued.id, stream
+    ? (event, data) => publish(queued.id, event, data)
+    : undefined));
+  if (!job) {
+    return res.status(503).set('Retry-After', String(retryAfterSeconds())).json({
+      stdout: '',
+      stderr: 'Server is busy, please retry later',
+      compileError: '',
+      exitCode: -1,
+      timedOut: false
+    });
+  }
+  res.set('X-Job-Id', job.id);
+
+  // Streaming runs answer right away; output follows on GET /api/run/:id/stream
+  if (stream) {
+    openChannel(job.id);
+    job.promise
+      .catch((error) => {
+        console.error(`[${job.id}] Error:`, error);
+        publish(job.id, 'error', { message: `Internal server error: ${error.message}` });
+      })
+      .finally(() => closeChannel(job.id));
+    return res.status(202).json({ jobId: job.id, streamUrl: `/api/run/${job.id}/stream` });
+  }
+
+  try {
+    res.json({ ...await job.promise, jobId: job.id });
+  } catch (error) {
+    console.error(`[${job.id}] Error:`, error);
+    res.status(500).json({
+      stdout: '',
+      stderr: `Internal server error: ${error.message}`,
+      compileError: '',
+      exitCode: -1,
+      timedOut: false,
+      jobId: job.id
+    });
+  }
+});
+
+// Server-Sent Events for a streaming run. Events already sent are replayed, so it
+// doesn't matter whether the client connects before or after the run starts.
+app.get('/api/run/:id/stream', (req, res) => {
+  const { id } = req.params;
+  if (!hasChannel(id)) {
+    return res.status(404).json({ error: 'Stream not found' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Keep idle connections from being closed by proxies while the job waits in the queue
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+  const lastEventId = Number(req.get('Last-Event-ID')) || 0;
+  const unsubscribe = subscribe(id, lastEventId, ({ id: eventId, event, data }) => {
+    res.write(`id: ${eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }, () => res.end());
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// Judge endpoint: compile once, run every test case in its own sandbox and
+// compare each output with the expected one
+app.post('/api/judge', async (req, res) => {
+  // Input validation
+  const { request, judge, error } = parseJudgeBody(req.body);
+  if (error) {
+    return res.status(400).json({ verdict: null, compileError: '', error, cases: [] });
+  }
+
+  const job = submitJob((queued) => judgeProgram(request, judge, queued.id));
+  if (!job) {
+    return res.status(503).set('Retry-After', String(retryAfterSeconds())).json({
+      verdict: null,
+      compileError: '',
+      error: 'Server is busy, please retry later',
+      cases: []
+    });
+  }
+  res.set('X-Job-Id', job.id);
+
+  try {
+    res.json({ ...await job.promise, jobId: job.id });
+  } catch (error) {
+    console.error(`[${job.id}] Error:`, error);
+    res.status(500).json({
+      verdict: null,
+      compileError: '',
+      error: `Internal server error: ${error.message}`,
+      cases: [],
+      jobId: job.id
+    });
+  }
+});
+
+// Asynchronous submissions: queue a run or judge job and return its id right away.
+// The result is polled from GET /api/submissions/:id or POSTed to callbackUrl.
+app.post('/api/submissions', (req, res) => {
+  const { type = 'run', stdin = '', callbackUrl } = req.body;
+
+  // Input validation
+  let parsed;
+  if (type === 'run') {
+    parsed = parseRunRequest(req.body);
+    parsed = parsed.error ? parsed : { request: parsed };
+  } else if (type === 'judge') {
+    parsed = parseJudgeBody(req.body);
+  } else {
+    parsed = { error: `Unsupported submission type: ${type} (allowed: run, judge)` };
+  }
+  const callback = parseCallbackUrl(callbackUrl);
+  const validationError = parsed.error || callback.error;
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  const job = submitJob((queued) => (type === 'judge'
+    ? judgeProgram(parsed.request, parsed.judge, queued.id)
+    : runProgram(parsed.request, stdin, queued.id)));
+  if (!job) {
+    return res.status(503).set('Retry-After', String(retryAfterSeconds())).json({
+      error: 'Server is busy, please retry later'
+    });
+  }
+
+  trackSubmission(job, { type, callbackUrl: callback.callbackUrl });
+  res.status(202).set('Location', `/api/submissions/${job.id}`).json(getSubmission(job.id));
+});
+
+app.get('/api/submissions/:id', (req, res) => {
+  const submission = getSubmission(req.params.id);
+  if (!submission) {
+    return res.status(404).json({ error: 'Submission not found' });
+  }
+  res.json(submission);
+});
+
+// Job status and queue position
+app.get('/api/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(job);
+});
+
+// Compile and run a validated request; resolves with the /api/run response body.
+// emit(event, data) receives compile-start, compile-output, stdout, stderr and,
+// last, exit carrying the same body the promise resolves with.
+async function runProgram(request, stdin, runId, emit = () => {}) {
+  const workspace = await sandbox.prepare(runId, { limits: runLimits(request), pooled: !needsPtrace(request) });
 
   try {
     // Create workspace files
-    await createWorkspace(workspaceDir, code, stdin);
+    await createWorkspace(workspace.dir, request.project.files, stdin);
 
     // Compile code
-    const compileResult = await compileCode(workspaceDir);
+    emit('compile-start', { compiler: request.compiler.name, language: request.options.language });
+    const compileResult = await compileWithCache(workspace, request, (stream, data) => {
+      emit('compile-output', { stream, data });
+    });
     if (compileResult.error) {
-      return res.json({
+      const response = {
         stdout: '',
         stderr: '',
         compileError: compileResult.stderr,
         exitCode: compileResult.exitCode,
         timedOut: false
-      });
+      };
+      emit('exit', response);
+      return response;
     }
 
     // Execute code, optionally using input.txt if stdin was provided
-    const executeResult = await executeCode(workspaceDir, !!stdin);
+    const executeResult = await executeCode(workspace, !!stdin, {
+      ...request,
+      onOutput: (stream, data) => emit(stream, { data })
+    });
 
-    res.json({
+    const response = {
       stdout: executeResult.stdout,
       stderr: executeResult.stderr,
       compileError: '',
       exitCode: executeResult.exitCode,
-      timedOut: executeResult.timedOut
-    });
+      signal: executeResult.signal,
+      oomKilled: executeResult.oomKilled,
+      timedOut: executeResult.timedOut,
+      wallTimeMs: executeResult.wallTimeMs,
+      cpuTimeMs: executeResult.cpuTimeMs,
+      peakMemoryKb: executeResult.peakMemoryKb,
+      truncated: executeResult.truncated,
+      outputBytes: executeResult.outputBytes,
+      cached: compileResult.cached,
+      compileTimeSavedMs: compileResult.compileTimeSavedMs
+    };
 
-  } catch (error) {
-    console.error(`[${runId}] Error:`, error);
-    res.status(500).json({
-      stdout: '',
-      stderr: `Internal server error: ${error.message}`,
-      compileError: '',
-      exitCode: -1,
-      timedOut: false
-    });
+    // Sanitizer reports are moved out of stderr into structured findings
+    if (request.sanitizers.length > 0) {
+      const { stderr, findings } = extractSanitizerReports(executeResult.stderr);
+      response.stderr = stderr;
+      response.sanitizerFindings = findings;
+    }
+
+    if (request.mode === 'valgrind') {
+      response.valgrind = await readValgrindReport(workspace.dir);
+    }
+
+    emit('exit', response);
+    return response;
   } finally {
-    cleanupWorkspace(workspaceDir);
+    closeWorkspace(workspace);
   }
-});
+}
 
-// Create workspace and write code/input
-async function createWorkspace(workspaceDir, code, stdin) {
-  return new Promise((resolve, reject) => {
-    fs.mkdir(workspaceDir, { recursive: true }, (err) => {
-      if (err) return reject(err);
-      const mainPath = path.join(workspaceDir, 'main.c');
-      fs.writeFile(mainPath, code, (err) => {
-        if (err) return reject(err);
-        const inputPath = path.join(workspaceDir, 'input.txt');
-        fs.writeFile(inputPath, stdin, (err) => {
-          if (err) return reject(err);
-          resolve();
-        });
+// Compile once and run every case; resolves with the /api/judge response body
+async function judgeProgram(request, judge, runId) {
+  const workspace = await sandbox.prepare(runId, { limits: runLimits(request), pooled: !needsPtrace(request) });
+
+  try {
+    await createWorkspace(workspace.dir, request.project.files, '');
+
+    const compileResult = await compileWithCache(workspace, request);
+    if (compileResult.error) {
+      return {
+        verdict: VERDICTS.COMPILATION_ERROR,
+        compileError: compileResult.stderr,
+        passed: 0,
+        total: judge.cases.length,
+        cases: []
+      };
+    }
+
+    const cases = [];
+    for (const [index, testCase] of judge.cases.entries()) {
+      await fs.promises.writeFile(path.join(workspace.dir, 'input.txt'), testCase.input);
+      // Keep whitespace intact so the comparison mode decides what matters
+      const result = await executeCode(workspace, true, { ...request, trimOutput: false });
+      const { verdict, diff } = judgeCase(result, testCase.expectedOutput, judge.comparison, judge.tolerance);
+      cases.push({
+        index,
+        verdict,
+        stdout: result.stdout,
+        stderr: result.stderr,
+        exitCode: result.exitCode,
+        signal: result.signal,
+        oomKilled: result.oomKilled,
+        timedOut: result.timedOut,
+        wallTimeMs: result.wallTimeMs,
+        cpuTimeMs: result.cpuTimeMs,
+        peakMemoryKb: result.peakMemoryKb,
+        truncated: result.truncated,
+        outputBytes: result.outputBytes,
+        diff
       });
-    });
-  });
+    }
+
+    return {
+      verdict: overallVerdict(cases),
+      compileError: '',
+      cached: compileResult.cached,
+      compileTimeSavedMs: compileResult.compileTimeSavedMs,
+      passed: cases.filter((result) => result.verdict === VERDICTS.ACCEPTED).length,
+      total: cases.length,
+      cases
+    };
+  } finally {
+    closeWorkspace(workspace);
+  }
 }
 
-// Compile code inside Docker
-function compileCode(workspaceDir) {
-  return new Promise((resolve) => {
-    const cmd = [
-      'docker', 'run', '--rm',
-      '-v', `${workspaceDir}:/workspace`,
-      '--workdir', '/workspace',
-      '--memory=256m',
-      '--cpus=0.5',
-      '--network=none',
-      '--user=1000:1000',
-      'c-runner:latest',
-      'gcc', '-std=c11', '-Wall', '-Wextra', '-O2', 'main.c', '-o', 'main'
-    ];
-
-    console.log('Compiling:', cmd.join(' '));
-
-    execFile(cmd[0], cmd.slice(1), { timeout: 10000 }, (error, stdout, stderr) => {
-      resolve({
-        error: !!error,
-        stdout: stdout.trim(),
-        stderr: stderr.trim(),
-        exitCode: error?.code || 0
-      });
-    });
-  });
+// Run request plus judge cases; judging always runs the binary directly
+function parseJudgeBody(body) {
+  const request = parseRunRequest(body);
+  if (request.error) return request;
+  if (request.mode !== 'run') {
+    return { error: `${request.mode} mode is not supported when judging` };
+  }
+
+  const judge = parseJudgeRequest(body);
+  if (judge.error) return judge;
+
+  return { request, judge };
 }
 
-// Execute compiled program inside Docker
-// Execute compiled program inside Docker
-function executeCode(workspaceDir, hasInput) {
-  return new Promise((resolve) => {
-    const cmd = [
-      'docker', 'run', '--rm',
-      '-v', `${workspaceDir}:/workspace`,
-      '--workdir', '/workspace',
-      '--memory=256m',
-      '--cpus=0.5',
-      '--pids-limit=64',
-      '--network=none',
-      '--user=1000:1000',
-      'c-runner:latest',
-      'sh', '-c',
-      hasInput ? './main < input.txt' : './main'
-    ];
-
-    console.log('Running program:', cmd.join(' '));
-
-    execFile(cmd[0], cmd.slice(1), { timeout: 3000 }, (error, stdout, stderr) => {
-      const timedOut = error?.killed || false;
-      const exitCode = error?.code || 0;
-
-      resolve({
-        stdout: stdout.trim(),
-        stderr: stderr.trim(),
-        exitCode,
-        timedOut
-      });
-    });
-  });
+// Validate the language, sources, compiler and flags of a run request.
+// Returns { error } or everything compileCode needs.
+function parseRunRequest(body) {
+  const { code, files, entry, compileOptions, compiler, language, sanitizers, limits, mode = 'run' } = body;
+
+  const lang = resolveLanguage(language);
+  if (lang.error) return lang;
+
+  const project = files !== undefined
+    ? resolveProjectFiles(files, entry || lang.language.defaultEntry, lang.language)
+    : resolveSingleFile(code, lang.language);
+  if (project.error) return project;
+
+  const parsedOptions = parseCompileOptions(compileOptions, lang.language.name);
+  if (parsedOptions.error) return parsedOptions;
+
+  const toolchain = resolveCompiler(compiler, lang.language.name);
+  if (toolchain.error) return toolchain;
+
+  const parsedSanitizers = parseSanitizers(sanitizers);
+  if (parsedSanitizers.error) return parsedSanitizers;
+
+  const parsedLimits = parseLimits(limits);
+  if (parsedLimits.error) return parsedLimits;
+
+  if (!RUN_MODES.includes(mode)) {
+    return { error: `Unsupported mode: ${mode} (allowed: ${RUN_MODES.join(', ')})` };
+  }
+  // ASan's shadow memory and memcheck's instrumentation don't mix
+  if (mode === 'valgrind' && parsedSanitizers.sanitizers.length > 0) {
+    return { error: 'sanitizers cannot be combined with valgrind mode' };
+  }
+
+  return {
+    project,
+    options: parsedOptions.options,
+    compiler: toolchain.compiler,
+    sanitizers: parsedSanitizers.sanitizers,
+    limits: parsedLimits.limits,
+    mode
+  };
+}
+
+// Legacy single-file request: `code` becomes main.c (or main.cpp)
+function resolveSingleFile(code, language) {
+  if (!code || typeof code !== 'string') {
+    return { error: 'Invalid code provided' };
+  }
+  const entry = language.defaultEntry;
+  return { files: [{ path: entry, contents: code }], sources: [entry] };
 }
 
+// Validate a { path: contents } map and work out which translation units to build.
+// The entry point is compiled first, followed by every other source file of the language.
+function resolveProjectFiles(files, entry, language) {
+  if (!files || typeof files !== 'object' || Array.isArray(files)) {
+    return { error: 'files must be an object mapping paths to source contents' };
+  }
 
-// Cleanup workspace
-function cleanupWorkspace(workspaceDir) {
-  try {
-    if (fs.existsSync(workspaceDir)) {
-      fs.rmSync(workspaceDir, { recursive: true, force: true });
-      console.log(`Cleaned up workspace: ${workspaceDir}`);
+  const paths = Object.keys(files);
+  if (paths.length === 0) return { error: 'files must contain at least one file' };
+  if (paths.length > MAX_PROJECT_FILES) {
+    return { error: `Too many files (maximum is ${MAX_PROJECT_FILES})` };
+  }
+
+  const normalized = [];
+  for (const filePath of paths) {
+    const safePath = normalizeProjectPath(filePath);
+    if (!safePath) return { error: `Invalid file path: ${filePath}` };
+    if (typeof files[filePath] !== 'string') {
+      return { error: `Contents of ${filePath} must be a string` };
     }
-  } catch (err) {
-    console.error('Failed to cleanup workspace:', err);
+    if (normalized.some((file) => file.path === safePath)) {
+      return { error: `Duplicate file path: ${filePath}` };
+    }
+    normalized.push({ path: safePath, contents: files[filePath] });
+  }
+
+  const entryPath = typeof entry === 'string' ? normalizeProjectPath(entry) : null;
+  if (!entryPath || !isSourceFile(language, entryPath)) {
+    return { error: `entry must be the path of a ${language.sourceExtensions.join('/')} file` };
   }
+  if (!normalized.some((file) => file.path === entryPath)) {
+    return { error: `Entry point ${entry} is not in files` };
+  }
+
+  const sources = [entryPath, ...normalized
+    .map((file) => file.path)
+    .filter((p) => isSourceFile(language, p) && p !== entryPath)];
+
+  return { files: normalized, sources };
+}
+
+// Returns a normalized relative path, or null if it could escape the workspace
+function normalizeProjectPath(filePath) {
+  if (typeof filePath !== 'string' || filePath.length === 0 || filePath.length > 255) return null;
+  if (!/^[A-Za-z0-9_./-]+$/.test(filePath)) return null;
+  if (path.posix.isAbsolute(filePath)) return null;
+
+  const normalized = path.posix.normalize(filePath);
+  const segments = normalized.split('/');
+  if (segments.some((segment) => segment === '..' || segment === '.' || segment === '')) return null;
+  if (segments.some((segment) => segment.startsWith('-'))) return null;
+  if (RESERVED_FILE_NAMES.has(normalized)) return null;
+
+  return normalized;
+}
+
+// Cleanup runs in the background; the response doesn't wait for it
+function closeWorkspace(workspace) {
+  sandbox.cleanup(workspace)
+    .then(() => console.log(`Cleaned up workspace: ${workspace.dir}`))
+    .catch((err) => console.error('Failed to cleanup workspace:', err));
+}
+
+// Limits for the program itself; sanitizers and memcheck get headroom on top
+// of whatever the client asked for
+function runLimits({ limits, sanitizers = [], mode = 'run' }) {
+  if (mode === 'valgrind') {
+    return {
+      ...limits,
+      memoryMb: Math.max(limits.memoryMb, VALGRIND_MEMORY_MB),
+      timeoutMs: Math.max(limits.timeoutMs, VALGRIND_TIMEOUT_MS)
+    };
+  }
+  if (sanitizers.length > 0) {
+    return { ...limits, memoryMb: Math.max(limits.memoryMb, SANITIZER_MEMORY_MB) };
+  }
+  return limits;
+}
+
+// LeakSanitizer stops the program's threads with ptrace to scan for leaks
+function needsPtrace({ sanitizers = [] }) {
+  return sanitizers.includes('address');
+}
+
+// Create workspace and write project files/input
+async function createWorkspace(workspaceDir, files, stdin) {
+  await fs.promises.mkdir(workspaceDir, { recursive: true });
+
+  for (const file of files) {
+    const filePath = path.resolve(workspaceDir, file.path);
+    // Defence in depth: never write outside the workspace
+    if (!filePath.startsWith(workspaceDir + path.sep)) {
+      throw new Error(`Refusing to write outside workspace: ${file.path}`);
+    }
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, file.contents);
+  }
+
+  await fs.promises.writeFile(path.join(workspaceDir, 'input.txt'), stdin);
+}
+
+// Compile, or reuse the binary of an identical earlier build.
+// Successful builds are cached; compile errors always go through the compiler.
+async function compileWithCache(workspace, request, onOutput) {
+  const key = cacheKey(request.project.files, buildCompileCommand(request));
+
+  const hit = await restoreBinary(key, path.join(workspace.dir, 'main'));
+  if (hit) {
+    return { error: false, stdout: '', stderr: '', exitCode: 0, cached: true, compileTimeSavedMs: hit.compileTimeMs };
+  }
+
+  const startedAt = Date.now();
+  const result = await compileCode(workspace, request, onOutput);
+  if (!result.error) {
+    try {
+      await storeBinary(key, path.join(workspace.dir, 'main'), Date.now() - startedAt);
+    } catch (err) {
+      console.error('Failed to cache binary:', err);
+    }
+  }
+  return { ...result, cached: false, compileTimeSavedMs: 0 };
+}
+
+// Compiler argv (binary first) for a validated run request
+function buildCompileCommand({ project, options, compiler, sanitizers, mode }) {
+  const flags = [...compileFlags(options), ...sanitizerFlags(sanitizers)];
+  // memcheck needs debug info to map errors back to source lines
+  if (mode === 'valgrind') flags.push('-g');
+  return compileCommand(compiler, options.language, flags, project.sources);
+}
+
+// Compile and link every translation unit inside the sandbox
+async function compileCode(workspace, request, onOutput) {
+  const result = await sandbox.compile(workspace, buildCompileCommand(request), { limits: COMPILE_LIMITS, onOutput });
+  return {
+    error: !!result.error || result.timedOut || result.code !== 0,
+    stdout: result.stdout.trim(),
+    stderr: result.stderr.trim(),
+    exitCode: result.code ?? -1
+  };
+}
+
+// Execute compiled program inside the sandbox
+async function executeCode(workspace, hasInput, { limits, sanitizers = [], mode = 'run', trimOutput = true, onOutput }) {
+  const effectiveLimits = runLimits({ limits, sanitizers, mode });
+  const program = mode === 'valgrind' ? valgrindCommand(hasInput) : (hasInput ? './main < input.txt' : './main');
+
+  const startedAt = Date.now();
+  const { result, state } = await sandbox.run(workspace, limitedCommand(effectiveLimits, measuredCommand(program)), {
+    limits: effectiveLimits,
+    env: sanitizerEnv(sanitizers),
+    allowPtrace: needsPtrace({ sanitizers }),
+    onOutput
+  });
+  const elapsedMs = Date.now() - startedAt;
+
+  return {
+    stdout: trimOutput ? result.stdout.trim() : result.stdout,
+    stderr: result.stderr.trim(),
+    truncated: result.truncated,
+    outputBytes: result.outputBytes,
+    ...runStatus({ result, usage: await readUsage(workspace.dir), state, elapsedMs })
+  };
 }
 
 // Error middleware
@@ -186,12 +600,24 @@ app.use((err, req, res, next) => {
 });
 
 // Start server
-app.listen(PORT, () => {
+if (sandbox.start) sandbox.start();
+startReaper(sandbox);
+const server = app.listen(PORT, () => {
   console.log(`🚀 C Compiler Backend running on port ${PORT}`);
   console.log(`📡 Health check: http://localhost:${PORT}/health`);
   console.log(`🔧 API endpoint: http://localhost:${PORT}/api/run`);
+  console.log(`💬 Interactive sessions: ws://localhost:${PORT}${INTERACTIVE_PATH}`);
 });
+const interactive = attachInteractiveServer(server, { sandbox });
 
-// Graceful shutdown
-process.on('SIGTERM', () => process.exit(0));
-process.on('SIGINT', () => process.exit(0));
+// Graceful shutdown: stop taking requests, end interactive sessions (which
+// removes their workspaces), then let the driver remove what it still runs
+function shutdown() {
+  stopReaper();
+  server.close();
+  interactive.close()
+    .then(() => sandbox.shutdown && sandbox.shutdown())
+    .finally(() => process.exit(0));
+}
+process.on('SIGTERM', shutdown);
+process.on('SIGINT', shutdown);
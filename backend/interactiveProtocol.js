@@ -0,0 +1,117 @@
+// interactiveProtocol.js
+// Version 1 of the interactive WebSocket protocol. Frames are JSON objects with
+// a `type`. A client opens with `hello`; any client message may carry an `id`
+// (a string or an integer of its choosing) that the server echoes as `replyTo`
+// on its answer. Every server frame carries `seq`, its position in the session,
+// which a client that reconnects sends back as `lastSeq` to resume from there.
+//
+// Frames are checked against CLIENT_MESSAGES before anything acts on them; the
+// values of `code` messages (language, limits, ...) are validated further by
+// the same parsers as /api/run.
+
+const PROTOCOL_VERSION = 1;
+// Largest frame a client may send; ws closes the connection past it
+const MAX_FRAME_BYTES = 1024 * 1024;
+const MAX_ID_LENGTH = 64;
+
+// Error codes of `error` frames
+const ERROR_CODES = {
+  invalidFrame: 'invalid-frame',
+  invalidMessage: 'invalid-message',
+  unknownType: 'unknown-type',
+  unsupportedProtocol: 'unsupported-protocol',
+  handshakeRequired: 'handshake-required',
+  unknownSession: 'unknown-session',
+  notRunning: 'not-running',
+  internal: 'internal'
+};
+
+const FIELD_TYPES = {
+  string: (value) => typeof value === 'string',
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === 'boolean',
+  object: (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+};
+
+// Fields of each client message: name -> [type, required]
+const CLIENT_MESSAGES = {
+  // sessionId, token and lastSeq resume a session after a reconnect; stripAnsi
+  // asks for plain-text output
+  hello: {
+    protocol: ['integer', true],
+    stripAnsi: ['boolean', false],
+    sessionId: ['string', false],
+    token: ['string', false],
+    lastSeq: ['integer', false]
+  },
+  code: {
+    code: ['string', true],
+    language: ['string', false],
+    compiler: ['string', false],
+    compileOptions: ['object', false],
+    limits: ['object', false],
+    cols: ['integer', false],
+    rows: ['integer', false]
+  },
+  stdin: { data: ['string', true] },
+  kill: {},
+  signal: { signal: ['string', true] },
+  eof: {},
+  resize: { cols: ['integer', true], rows: ['integer', true] }
+};
+
+function isValidId(id) {
+  return (typeof id === 'string' && id.length > 0 && id.length <= MAX_ID_LENGTH) || Number.isSafeInteger(id);
+}
+
+function protocolError(code, message, id) {
+  return { error: { code, message }, id };
+}
+
+// Returns { message } for a well-formed client frame, or { error: { code,
+// message }, id } where id is the frame's own id when it could be read
+function parseClientMessage(raw, isBinary) {
+  if (isBinary) return protocolError(ERROR_CODES.invalidFrame, 'Frames must be text');
+
+  let message;
+  try {
+    message = JSON.parse(raw.toString('utf8'));
+  } catch (err) {
+    return protocolError(ERROR_CODES.invalidFrame, `Invalid JSON: ${err.message}`);
+  }
+  if (!FIELD_TYPES.object(message)) {
+    return protocolError(ERROR_CODES.invalidMessage, 'A message must be a JSON object');
+  }
+
+  const { id, type } = message;
+  if (id !== undefined && !isValidId(id)) {
+    return protocolError(ERROR_CODES.invalidMessage, `id must be an integer or a string of up to ${MAX_ID_LENGTH} characters`);
+  }
+
+  const fields = typeof type === 'string' && Object.prototype.hasOwnProperty.call(CLIENT_MESSAGES, type)
+    ? CLIENT_MESSAGES[type]
+    : null;
+  if (!fields) {
+    return protocolError(ERROR_CODES.unknownType, `Unknown message type: ${type} (allowed: ${Object.keys(CLIENT_MESSAGES).join(', ')})`, id);
+  }
+
+  const unknown = Object.keys(message).find((key) => key !== 'id' && key !== 'type' && !fields[key]);
+  if (unknown) return protocolError(ERROR_CODES.invalidMessage, `Unknown field for ${type}: ${unknown}`, id);
+
+  for (const [name, [fieldType, required]] of Object.entries(fields)) {
+    const value = message[name];
+    if (value === undefined) {
+      if (required) return protocolError(ERROR_CODES.invalidMessage, `${type}.${name} is required`, id);
+    } else if (!FIELD_TYPES[fieldType](value)) {
+      return protocolError(ERROR_CODES.invalidMessage, `${type}.${name} must be ${fieldType === 'integer' ? 'an' : 'a'} ${fieldType}`, id);
+    }
+  }
+  return { message };
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  MAX_FRAME_BYTES,
+  ERROR_CODES,
+  parseClientMessage
+};
@@ -1,13 +1,26 @@
 // interactiveServer.js
+// Interactive sessions over a WebSocket served by the API server on
+// INTERACTIVE_PATH: the client sends code, the program runs in a sandboxed
+// terminal and its input and output are relayed until it exits. Output is
+// passed on as the terminal produced it, escape sequences included, for the
+// client to render in a terminal emulator. Frames follow the protocol in
+// interactiveProtocol.js.
 const WebSocket = require('ws');
-const pty = require('node-pty');
 const path = require('path');
-const os = require('os');
 const fs = require('fs');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
-const { exec } = require('child_process');
+const { parseCompileOptions, compileFlags } = require('./compileOptions');
+const { resolveCompiler, compileCommand } = require('./compilers');
+const { resolveLanguage } = require('./languages');
+const { DEFAULT_LIMITS, COMPILE_LIMITS, parseLimits, limitedCommand } = require('./limits');
+const { exitStatus } = require('./runStatus');
+const { INTERACTIVE_PATH, isOriginAllowed } = require('./config');
+const { PROTOCOL_VERSION, MAX_FRAME_BYTES, ERROR_CODES, parseClientMessage } = require('./interactiveProtocol');
+const { createFrameBuffer } = require('./frameBuffer');
 
-// Removes ANSI escape sequences (color codes, cursor moves, OSC titles, etc.)
+// Removes ANSI escape sequences (color codes, cursor moves, OSC titles, etc.),
+// for clients that asked for plain text
 function stripAnsiSequences(raw) {
   if (typeof raw !== 'string') return raw;
   // CSI: ESC [ ...
@@ -21,83 +34,433 @@ function stripAnsiSequences(raw) {
   return raw.replace(csi, '').replace(osc, '').replace(other, '').replace(bel, '');
 }
 
-const wss = new WebSocket.Server({ port: 3002 });
-console.log('🚀 Interactive WebSocket server running on port 3002');
+// A program is stopped after this long without input or output, and after
+// this long in total, whichever comes first
+const IDLE_TIMEOUT_MS = Number(process.env.INTERACTIVE_IDLE_TIMEOUT_MS) || 5 * 60 * 1000;
+const MAX_SESSION_MS = Number(process.env.INTERACTIVE_MAX_SESSION_MS) || 30 * 60 * 1000;
+// How long a session waits for its client to reconnect, and how much of the
+// latest output it keeps to replay
+const RESUME_GRACE_MS = Number(process.env.INTERACTIVE_RESUME_GRACE_MS) || 30 * 1000;
+const RESUME_BUFFER_BYTES = Number(process.env.INTERACTIVE_RESUME_BUFFER_BYTES) || 256 * 1024;
 
-wss.on('connection', (ws) => {
-  const sessionId = uuidv4();
-  console.log(`[${sessionId}] Client connected`);
+// Signals a client may send to its program
+const SIGNALS = ['INT', 'TERM', 'QUIT'];
+// Accepted terminal sizes; sessions start at DEFAULT_TERMINAL_SIZE
+const TERMINAL_COLS = { min: 10, max: 500 };
+const TERMINAL_ROWS = { min: 2, max: 200 };
+const DEFAULT_TERMINAL_SIZE = { cols: 80, rows: 30 };
 
-  // Create a temporary workspace
-  const workspaceDir = path.join(os.tmpdir(), `c-runner-${sessionId}`);
+// Returns { size } or { error } for the cols/rows of a `resize` (or `code`) message
+function parseTerminalSize({ cols, rows }) {
+  for (const [name, value, range] of [['cols', cols, TERMINAL_COLS], ['rows', rows, TERMINAL_ROWS]]) {
+    if (!Number.isInteger(value) || value < range.min || value > range.max) {
+      return { error: `${name} must be an integer between ${range.min} and ${range.max}` };
+    }
+  }
+  return { size: { cols, rows } };
+}
+
+// Validate language, compiler, flags, limits and terminal size of a `code` message
+function parseCodeMessage(data) {
+  const lang = resolveLanguage(data.language);
+  if (lang.error) return lang;
+
+  const parsedOptions = parseCompileOptions(data.compileOptions, lang.language.name);
+  if (parsedOptions.error) return parsedOptions;
+
+  const toolchain = resolveCompiler(data.compiler, lang.language.name);
+  if (toolchain.error) return toolchain;
+
+  const parsedLimits = parseLimits(data.limits);
+  if (parsedLimits.error) return parsedLimits;
+
+  // Optional; the session keeps its current size without it
+  const parsedSize = data.cols === undefined && data.rows === undefined
+    ? { size: null }
+    : parseTerminalSize(data);
+  if (parsedSize.error) return parsedSize;
+
+  return {
+    language: lang.language,
+    options: parsedOptions.options,
+    compiler: toolchain.compiler,
+    limits: parsedLimits.limits,
+    size: parsedSize.size
+  };
+}
+
+// A session owns a workspace and at most one running program, and outlives its
+// WebSocket: when the connection drops while a program is compiling or running,
+// the session is kept for RESUME_GRACE_MS so the client can reconnect with the
+// session's token and be replayed the frames it missed. `ws` is the socket it
+// was opened for. onEnd(cleanup) is called once the session is over, with the
+// promise of its workspace cleanup.
+function createSession(sandbox, ws, { onEnd }) {
+  const id = uuidv4();
+  const token = crypto.randomBytes(32).toString('hex');
+  const frames = createFrameBuffer(RESUME_BUFFER_BYTES);
+  let socket = ws;
+  // Created with the first program. Sessions can last long, so they never
+  // take a warm pool container away from REST runs.
+  let workspaceReady = null;
+  // Latest size the client reported, also while nothing is running
+  let terminalSize = DEFAULT_TERMINAL_SIZE;
+  let seq = 0;
+  // Plain-text clients get output without ANSI escape sequences
+  let stripAnsi = false;
+  let compiling = false;
+  // { term, stopped } of the running program
+  let program = null;
+  let idleTimer = null;
+  let sessionTimer = null;
+  let graceTimer = null;
+  let ended = false;
+
+  // replyTo is the id of the client message the frame answers, if it had one
+  const send = (type, fields = {}, replyTo = undefined) => {
+    seq += 1;
+    const frame = JSON.stringify({ type, seq, ...(replyTo === undefined ? {} : { replyTo }), ...fields });
+    frames.push(seq, frame);
+    if (socket && socket.readyState === WebSocket.OPEN) socket.send(frame);
+  };
+
+  const sendError = (code, message, replyTo) => send('error', { code, message }, replyTo);
+
+  const greeting = (resumed) => ({
+    protocol: PROTOCOL_VERSION,
+    sessionId: id,
+    token,
+    resumed,
+    stripAnsi,
+    signals: SIGNALS,
+    idleTimeoutMs: IDLE_TIMEOUT_MS,
+    maxSessionMs: MAX_SESSION_MS,
+    resumeGraceMs: RESUME_GRACE_MS
+  });
+
+  // Kill the running program; its exit is reported as SIGKILL
+  const stop = () => {
+    if (!program) return;
+    program.stopped = true;
+    program.term.kill('SIGKILL');
+  };
+
+  // Tell the client why and stop the running program
+  const terminate = (reason, message) => {
+    if (!program) return;
+    send('terminated', { reason, message });
+    stop();
+  };
+
+  // Input or output: the program is not idle
+  const touch = () => {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => {
+      terminate('idle', `No input or output for ${IDLE_TIMEOUT_MS / 1000} s, program stopped`);
+    }, IDLE_TIMEOUT_MS);
+  };
 
-  // Ensure workspace exists
-  fs.mkdirSync(workspaceDir, { recursive: true });
+  const end = () => {
+    if (ended) return;
+    ended = true;
+    clearTimeout(idleTimer);
+    clearTimeout(sessionTimer);
+    clearTimeout(graceTimer);
+    stop();
+    const cleanup = workspaceReady
+      ? workspaceReady
+        .then((workspace) => sandbox.cleanup(workspace).then(() => {
+          console.log(`Cleaned up workspace: ${workspace.dir}`);
+        }))
+        .catch((err) => console.error('Failed to cleanup workspace:', err))
+      : Promise.resolve();
+    onEnd(cleanup);
+  };
 
-  ws.on('message', (msg) => {
-    const data = JSON.parse(msg);
+  const runCode = async (message) => {
+    const { id: messageId } = message;
+    const request = parseCodeMessage(message);
+    if (request.error) {
+      sendError(ERROR_CODES.invalidMessage, request.error, messageId);
+      return;
+    }
+
+    // Write code to workspace
+    if (!workspaceReady) workspaceReady = sandbox.prepare(id, { limits: DEFAULT_LIMITS, pooled: false });
+    const workspace = await workspaceReady;
+    const sourceFile = request.language.defaultEntry;
+    fs.writeFileSync(path.join(workspace.dir, sourceFile), message.code);
+
+    // Compile inside the sandbox
+    compiling = true;
+    const compileResult = await sandbox.compile(
+      workspace,
+      compileCommand(request.compiler, request.language.name, compileFlags(request.options), [sourceFile]),
+      { limits: COMPILE_LIMITS }
+    ).finally(() => {
+      compiling = false;
+    });
+    // The client left and didn't come back in time
+    if (ended) return;
+    const success = !compileResult.error && !compileResult.timedOut && compileResult.code === 0;
+    send('compiled', { success, timedOut: compileResult.timedOut, stderr: compileResult.stderr }, messageId);
+    if (!success) return;
+
+    // One program per session
+    stop();
+
+    // Run program interactively using PTY, in the same sandbox as REST runs.
+    // A session waits on its user, so the time limit applies to CPU time;
+    // wall time is bounded by the idle timeout and the maximum duration.
+    const { limits } = request;
+    if (request.size) terminalSize = request.size;
+    const term = sandbox.spawnInteractive(
+      workspace,
+      limitedCommand(limits, 'exec ./main', { cpuSeconds: Math.ceil(limits.timeoutMs / 1000) }),
+      { limits, cols: terminalSize.cols, rows: terminalSize.rows, maxDurationMs: MAX_SESSION_MS }
+    );
+    const current = { term, stopped: false };
+    program = current;
+    touch();
+    clearTimeout(sessionTimer);
+    sessionTimer = setTimeout(() => {
+      terminate('duration', `Maximum session duration of ${MAX_SESSION_MS / 1000} s reached, program stopped`);
+    }, MAX_SESSION_MS);
+
+    let outputBytes = 0;
+    term.on('data', (data) => {
+      // Already over the limit and stopped; drop whatever is still buffered
+      if (outputBytes > limits.outputBytes) return;
+      touch();
+      outputBytes += Buffer.byteLength(data);
+      if (outputBytes > limits.outputBytes) {
+        send('stderr', { data: `\n[Output limit of ${limits.outputBytes} bytes exceeded, program stopped]\n` });
+        stop();
+        return;
+      }
+      // The terminal merges the program's stdout and stderr
+      send('stdout', { data: stripAnsi ? stripAnsiSequences(data) : data });
+    });
+    term.on('exit', (code, signal) => {
+      if (program === current) {
+        program = null;
+        clearTimeout(idleTimer);
+        clearTimeout(sessionTimer);
+      }
+      const status = current.stopped ? { exitCode: null, signal: 'SIGKILL' } : exitStatus(code, signal);
+      send('exit', status, messageId);
+    });
+  };
+
+  return {
+    id,
+    sendError,
 
-    if (data.type === 'code') {
-      // Write code to workspace
-      const mainPath = path.join(workspaceDir, 'main.c');
-      fs.writeFileSync(mainPath, data.code);
+    // Answer the hello of the socket the session was opened for
+    greet(replyTo, options) {
+      stripAnsi = options.stripAnsi;
+      send('hello', greeting(false), replyTo);
+    },
 
-      // Compile inside Docker
-      const compileCmd = [
-        'docker', 'run', '--rm',
-        '-v', `${workspaceDir}:/workspace`,
-        '--workdir', '/workspace',
-        'c-runner:latest',
-        'gcc', 'main.c', '-o', 'main'
-      ];
+    // Whether a reconnecting client presented this session's token
+    authenticate(candidate) {
+      if (typeof candidate !== 'string') return false;
+      // timingSafeEqual throws on buffers of different lengths; compare bytes,
+      // not characters
+      const given = Buffer.from(candidate);
+      const expected = Buffer.from(token);
+      return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    },
 
-      exec(compileCmd.join(' '), (error, stdout, stderr) => {
-        if (error) {
-          ws.send(JSON.stringify({ type: 'compileError', data: stderr }));
+    // Move the session to a reconnected client's socket and replay the frames
+    // after lastSeq that are still buffered, then answer its hello
+    resume(newSocket, lastSeq, replyTo) {
+      clearTimeout(graceTimer);
+      if (socket && socket !== newSocket) socket.close(4000, 'Session resumed on another connection');
+      socket = newSocket;
+      for (const frame of frames.since(lastSeq)) socket.send(frame);
+      send('hello', greeting(true), replyTo);
+    },
+
+    // The socket closed: wait for the client to come back if there is anything
+    // to come back to
+    detach(closedSocket) {
+      if (socket !== closedSocket) return;
+      socket = null;
+      if (!program && !compiling) {
+        end();
+        return;
+      }
+      console.log(`[${id}] Keeping session for ${RESUME_GRACE_MS / 1000} s`);
+      graceTimer = setTimeout(end, RESUME_GRACE_MS);
+    },
+
+    end,
+
+    async handleMessage(message) {
+      const { id: messageId, type } = message;
+
+      if (type === 'code') {
+        await runCode(message);
+        return;
+      }
+
+      if (type === 'resize') {
+        const parsedSize = parseTerminalSize(message);
+        if (parsedSize.error) {
+          sendError(ERROR_CODES.invalidMessage, parsedSize.error, messageId);
           return;
         }
+        terminalSize = parsedSize.size;
+        if (program) program.term.resize(terminalSize.cols, terminalSize.rows);
+        return;
+      }
 
-        // Run program interactively using PTY
-        ws.term = pty.spawn('docker', [
-          'run', '--rm', '-i', '-t',
-          '-v', `${workspaceDir}:/workspace`,
-          '--workdir', '/workspace',
-          'c-runner:latest',
-          './main'
-        ], {
-          name: 'xterm-color',
-          cols: 80,
-          rows: 30,
-          cwd: process.cwd(),
-          env: process.env
-        });
+      // The rest act on the running program
+      if (type === 'signal' && !SIGNALS.includes(message.signal)) {
+        sendError(ERROR_CODES.invalidMessage, `Unsupported signal: ${message.signal} (allowed: ${SIGNALS.join(', ')})`, messageId);
+        return;
+      }
+      if (!program) {
+        sendError(ERROR_CODES.notRunning, 'No program is running', messageId);
+        return;
+      }
 
-        ws.term.on('data', (data) => {
-          const cleaned = stripAnsiSequences(data);
-          ws.send(JSON.stringify({ type: 'stdout', data: cleaned }));
-        });
-        ws.term.on('exit', () => ws.send(JSON.stringify({ type: 'exit' })));
-      });
-    }
+      if (type === 'stdin') {
+        // Forward input to the running PTY
+        touch();
+        program.term.write(message.data);
+      }
+
+      if (type === 'kill') {
+        stop();
+      }
 
-    if (data.type === 'stdin') {
-      // Forward input to the running PTY
-      if (ws.term) {
-        ws.term.write(data.data);
+      if (type === 'signal') {
+        touch();
+        program.term.kill(`SIG${message.signal}`);
+      }
+
+      if (type === 'eof') {
+        // Ctrl-D: the terminal ends the program's current read, so at the start of
+        // a line read() returns 0
+        touch();
+        program.term.write('\x04');
       }
     }
+  };
+}
+
+// Serve interactive sessions on `server`, running programs with `sandbox`.
+// Returns { close() }, which ends every session and resolves once their
+// workspaces are cleaned up.
+function attachInteractiveServer(server, { sandbox }) {
+  const wss = new WebSocket.Server({
+    server,
+    path: INTERACTIVE_PATH,
+    maxPayload: MAX_FRAME_BYTES,
+    // Same origins as the REST API's CORS policy
+    verifyClient: ({ origin }) => isOriginAllowed(origin)
   });
+  // Sessions that completed the handshake, by id; also while their client is away
+  const sessions = new Map();
+  const cleanups = new Set();
 
-  ws.on('close', () => {
-    console.log(`[${sessionId}] Client disconnected`);
-    // Cleanup workspace
-    try {
-      if (fs.existsSync(workspaceDir)) {
-        fs.rmSync(workspaceDir, { recursive: true, force: true });
-        console.log(`Cleaned up workspace: ${workspaceDir}`);
+  const openSession = (ws) => {
+    const session = createSession(sandbox, ws, {
+      onEnd: (cleanup) => {
+        sessions.delete(session.id);
+        const tracked = cleanup.finally(() => cleanups.delete(tracked));
+        cleanups.add(tracked);
       }
-    } catch (err) {
-      console.error('Failed to cleanup workspace:', err);
-    }
+    });
+    return session;
+  };
+
+  wss.on('connection', (ws) => {
+    // Replaced by the session being resumed if the client's hello asks for one
+    let session = openSession(ws);
+    let helloReceived = false;
+    console.log(`[${session.id}] Client connected`);
+
+    const handleHello = (message) => {
+      const { id, protocol, sessionId, token, lastSeq = 0 } = message;
+      if (protocol !== PROTOCOL_VERSION) {
+        session.sendError(ERROR_CODES.unsupportedProtocol, `Unsupported protocol version ${protocol} (supported: ${PROTOCOL_VERSION})`, id);
+        return;
+      }
+      if (helloReceived) {
+        session.sendError(ERROR_CODES.invalidMessage, 'hello was already received', id);
+        return;
+      }
+
+      if (sessionId === undefined && token === undefined) {
+        sessions.set(session.id, session);
+        session.greet(id, { stripAnsi: message.stripAnsi === true });
+        helloReceived = true;
+        return;
+      }
+
+      const previous = sessions.get(sessionId);
+      if (!previous || !previous.authenticate(token)) {
+        session.sendError(ERROR_CODES.unknownSession, 'No session to resume with this sessionId and token; it may have ended', id);
+        return;
+      }
+      // The session opened for this connection never got going; drop it
+      session.end();
+      session = previous;
+      console.log(`[${session.id}] Client reconnected`);
+      session.resume(ws, lastSeq, id);
+      helloReceived = true;
+    };
+
+    // Every frame is validated first; anything wrong is answered with an error frame
+    ws.on('message', (raw, isBinary) => {
+      const parsed = parseClientMessage(raw, isBinary);
+      if (parsed.error) {
+        session.sendError(parsed.error.code, parsed.error.message, parsed.id);
+        return;
+      }
+      const { message } = parsed;
+      if (message.type === 'hello') {
+        try {
+          handleHello(message);
+        } catch (err) {
+          console.error(`[${session.id}] Failed to handle hello message:`, err);
+          session.sendError(ERROR_CODES.internal, err.message, message.id);
+        }
+        return;
+      }
+      if (!helloReceived) {
+        session.sendError(ERROR_CODES.handshakeRequired, `Send hello with protocol ${PROTOCOL_VERSION} first`, message.id);
+        return;
+      }
+      const current = session;
+      current.handleMessage(message).catch((err) => {
+        console.error(`[${current.id}] Failed to handle ${message.type} message:`, err);
+        current.sendError(ERROR_CODES.internal, err.message, message.id);
+      });
+    });
+
+    ws.on('close', () => {
+      console.log(`[${session.id}] Client disconnected`);
+      session.detach(ws);
+    });
   });
-});
+
+  return {
+    close() {
+      for (const ws of wss.clients) ws.terminate();
+      return new Promise((resolve) => wss.close(resolve))
+        .then(() => {
+          // Including those waiting for their client
+          for (const session of [...sessions.values()]) session.end();
+          return Promise.all([...cleanups]);
+        });
+    }
+  };
+}
+
+module.exports = {
+  attachInteractiveServer
+};
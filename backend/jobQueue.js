@@ -0,0 +1,115 @@
+// jobQueue.js
+// Bounded FIFO queue in front of the sandbox. At most MAX_CONCURRENT_JOBS run
+// at once; up to MAX_QUEUED_JOBS more wait their turn and anything beyond that
+// is refused so a burst of submissions can't overwhelm the Docker host.
+
+const { v4: uuidv4 } = require('uuid');
+
+const MAX_CONCURRENT_JOBS = Number(process.env.MAX_CONCURRENT_JOBS) || 4;
+const MAX_QUEUED_JOBS = Number(process.env.MAX_QUEUED_JOBS) || 50;
+// How long a finished job stays visible on GET /api/jobs/:id
+const JOB_RETENTION_MS = 5 * 60 * 1000;
+
+const jobs = new Map();
+// { job, task, settle } entries in arrival order
+const waiting = [];
+let running = 0;
+// Moving average of job run time, used for Retry-After and wait estimates
+let averageRunMs = 2000;
+
+// Queue task(job) and return the job, or null when the queue is full.
+// job.promise settles with whatever the task resolves or rejects with.
+function submitJob(task) {
+  if (waiting.length >= MAX_QUEUED_JOBS) return null;
+
+  const job = {
+    id: uuidv4(),
+    status: 'queued',
+    createdAt: new Date(),
+    startedAt: null,
+    finishedAt: null
+  };
+  let settle;
+  job.promise = new Promise((resolve, reject) => {
+    settle = { resolve, reject };
+  });
+  // Callers that only poll shouldn't trigger unhandled rejection warnings
+  job.promise.catch(() => {});
+
+  jobs.set(job.id, job);
+  waiting.push({ job, task, settle });
+  drain();
+  return job;
+}
+
+function drain() {
+  while (running < MAX_CONCURRENT_JOBS && waiting.length > 0) {
+    const { job, task, settle } = waiting.shift();
+    running++;
+    job.status = 'running';
+    job.startedAt = new Date();
+
+    Promise.resolve()
+      .then(() => task(job))
+      .then((result) => {
+        finishJob(job, 'completed');
+        settle.resolve(result);
+      }, (err) => {
+        finishJob(job, 'failed');
+        settle.reject(err);
+      })
+      .finally(() => {
+        running--;
+        drain();
+      });
+  }
+}
+
+function finishJob(job, status) {
+  job.status = status;
+  job.finishedAt = new Date();
+  averageRunMs = averageRunMs * 0.8 + (job.finishedAt - job.startedAt) * 0.2;
+  setTimeout(() => jobs.delete(job.id), JOB_RETENTION_MS).unref();
+}
+
+// Public view of a job: status plus its 1-based queue position while waiting
+function getJob(id) {
+  const job = jobs.get(id);
+  if (!job) return null;
+
+  const index = waiting.findIndex((entry) => entry.job === job);
+  return {
+    id: job.id,
+    status: job.status,
+    position: index === -1 ? 0 : index + 1,
+    estimatedWaitMs: index === -1 ? 0 : estimateWaitMs(index + 1),
+    createdAt: job.createdAt.toISOString(),
+    startedAt: job.startedAt && job.startedAt.toISOString(),
+    finishedAt: job.finishedAt && job.finishedAt.toISOString()
+  };
+}
+
+function estimateWaitMs(position) {
+  return Math.round(Math.ceil(position / MAX_CONCURRENT_JOBS) * averageRunMs);
+}
+
+// Seconds a refused client should wait before retrying
+function retryAfterSeconds() {
+  return Math.max(1, Math.ceil(estimateWaitMs(waiting.length) / 1000));
+}
+
+function queueStats() {
+  return {
+    running,
+    queued: waiting.length,
+    maxConcurrency: MAX_CONCURRENT_JOBS,
+    maxQueued: MAX_QUEUED_JOBS
+  };
+}
+
+module.exports = {
+  submitJob,
+  getJob,
+  retryAfterSeconds,
+  queueStats
+};
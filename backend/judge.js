@@ -0,0 +1,124 @@
+// judge.js
+// Output comparison and verdicts for the /api/judge endpoint.
+
+const VERDICTS = {
+  ACCEPTED: 'Accepted',
+  WRONG_ANSWER: 'Wrong Answer',
+  TIME_LIMIT_EXCEEDED: 'Time Limit Exceeded',
+  MEMORY_LIMIT_EXCEEDED: 'Memory Limit Exceeded',
+  OUTPUT_LIMIT_EXCEEDED: 'Output Limit Exceeded',
+  RUNTIME_ERROR: 'Runtime Error',
+  COMPILATION_ERROR: 'Compilation Error'
+};
+
+const COMPARISON_MODES = ['exact', 'trim-trailing-whitespace', 'float'];
+const DEFAULT_TOLERANCE = 1e-6;
+const MAX_CASES = 50;
+const MAX_DIFF_LINES = 20;
+
+// Validates the judge-specific part of a request.
+// Returns { cases, comparison, tolerance } or { error }.
+function parseJudgeRequest({ cases, comparison = 'trim-trailing-whitespace', tolerance = DEFAULT_TOLERANCE }) {
+  if (!Array.isArray(cases) || cases.length === 0) {
+    return { error: 'cases must be a non-empty array of { input, expectedOutput }' };
+  }
+  if (cases.length > MAX_CASES) {
+    return { error: `Too many cases (maximum is ${MAX_CASES})` };
+  }
+  for (let i = 0; i < cases.length; i++) {
+    const testCase = cases[i];
+    if (!testCase || typeof testCase !== 'object') return { error: `Case ${i} must be an object` };
+    if (testCase.input !== undefined && typeof testCase.input !== 'string') {
+      return { error: `Case ${i}: input must be a string` };
+    }
+    if (typeof testCase.expectedOutput !== 'string') {
+      return { error: `Case ${i}: expectedOutput must be a string` };
+    }
+  }
+
+  if (!COMPARISON_MODES.includes(comparison)) {
+    return { error: `Unsupported comparison: ${comparison} (allowed: ${COMPARISON_MODES.join(', ')})` };
+  }
+  if (typeof tolerance !== 'number' || !Number.isFinite(tolerance) || tolerance < 0) {
+    return { error: 'tolerance must be a non-negative number' };
+  }
+
+  return {
+    cases: cases.map(({ input = '', expectedOutput }) => ({ input, expectedOutput })),
+    comparison,
+    tolerance
+  };
+}
+
+// Verdict for one executed case; `result` is what executeCode resolved with
+function judgeCase(result, expectedOutput, comparison, tolerance) {
+  if (result.timedOut) return { verdict: VERDICTS.TIME_LIMIT_EXCEEDED, diff: [] };
+  if (result.oomKilled) return { verdict: VERDICTS.MEMORY_LIMIT_EXCEEDED, diff: [] };
+  if (result.truncated) return { verdict: VERDICTS.OUTPUT_LIMIT_EXCEEDED, diff: [] };
+  if (result.exitCode !== 0) return { verdict: VERDICTS.RUNTIME_ERROR, diff: [] };
+
+  const diff = diffOutput(expectedOutput, result.stdout, comparison, tolerance);
+  return {
+    verdict: diff.length === 0 ? VERDICTS.ACCEPTED : VERDICTS.WRONG_ANSWER,
+    diff
+  };
+}
+
+// The overall verdict is the first case that didn't pass
+function overallVerdict(caseResults) {
+  const failed = caseResults.find((result) => result.verdict !== VERDICTS.ACCEPTED);
+  return failed ? failed.verdict : VERDICTS.ACCEPTED;
+}
+
+// Line-by-line differences as [{ line, expected, actual }] (1-based line numbers,
+// null for a missing line), capped at MAX_DIFF_LINES
+function diffOutput(expected, actual, comparison, tolerance) {
+  const expectedLines = splitLines(expected, comparison);
+  const actualLines = splitLines(actual, comparison);
+  const diff = [];
+
+  const length = Math.max(expectedLines.length, actualLines.length);
+  for (let i = 0; i < length && diff.length < MAX_DIFF_LINES; i++) {
+    const want = i < expectedLines.length ? expectedLines[i] : null;
+    const got = i < actualLines.length ? actualLines[i] : null;
+    if (!linesMatch(want, got, comparison, tolerance)) {
+      diff.push({ line: i + 1, expected: want, actual: got });
+    }
+  }
+  return diff;
+}
+
+function splitLines(output, comparison) {
+  if (comparison === 'exact') return output.split('\n');
+
+  // Ignore trailing whitespace on every line and trailing blank lines
+  const lines = output.split('\n').map((line) => line.replace(/\s+$/, ''));
+  while (lines.length > 0 && lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+function linesMatch(want, got, comparison, tolerance) {
+  if (want === null || got === null) return false;
+  if (comparison !== 'float') return want === got;
+
+  // Tokens that both parse as numbers may differ by the absolute or relative tolerance
+  const wantTokens = want.trim().split(/\s+/);
+  const gotTokens = got.trim().split(/\s+/);
+  if (wantTokens.length !== gotTokens.length) return false;
+
+  return wantTokens.every((token, i) => {
+    const a = Number(token);
+    const b = Number(gotTokens[i]);
+    if (token === '' || gotTokens[i] === '' || Number.isNaN(a) || Number.isNaN(b)) {
+      return token === gotTokens[i];
+    }
+    return Math.abs(a - b) <= Math.max(tolerance, tolerance * Math.abs(a));
+  });
+}
+
+module.exports = {
+  VERDICTS,
+  parseJudgeRequest,
+  judgeCase,
+  overallVerdict
+};
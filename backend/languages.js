@@ -0,0 +1,37 @@
+// languages.js
+// Source languages the runner accepts. The language decides which file
+// extensions count as translation units, the default entry point, and which
+// driver of the selected toolchain is invoked (see compilers.js).
+
+const LANGUAGES = {
+  c: {
+    name: 'c',
+    sourceExtensions: ['.c'],
+    defaultEntry: 'main.c'
+  },
+  cpp: {
+    name: 'cpp',
+    sourceExtensions: ['.cpp', '.cc', '.cxx'],
+    defaultEntry: 'main.cpp'
+  }
+};
+
+const DEFAULT_LANGUAGE = 'c';
+
+// Returns { language } for a supported name or { error } for anything else
+function resolveLanguage(name = DEFAULT_LANGUAGE) {
+  if (typeof name !== 'string' || !Object.prototype.hasOwnProperty.call(LANGUAGES, name)) {
+    return { error: `Unsupported language: ${name} (allowed: ${Object.keys(LANGUAGES).join(', ')})` };
+  }
+  return { language: LANGUAGES[name] };
+}
+
+function isSourceFile(language, filePath) {
+  return language.sourceExtensions.some((ext) => filePath.endsWith(ext));
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  resolveLanguage,
+  isSourceFile
+};
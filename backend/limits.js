@@ -0,0 +1,94 @@
+// limits.js
+// Resource limits profile shared by REST runs and interactive sessions. Every
+// limit has a default and an operator-configured ceiling (LIMIT_MAX_* env vars);
+// clients may ask for anything between the floor and that ceiling through a
+// `limits` object. Memory, CPU and pids are enforced by Docker; file size, open
+// files (and CPU time for interactive sessions) with ulimit inside the sandbox;
+// wall time and output size by the backend.
+
+const LIMITS = {
+  timeoutMs: { default: 3000, min: 100, max: envNumber('LIMIT_MAX_TIMEOUT_MS', 10000), integer: true },
+  memoryMb: { default: 256, min: 32, max: envNumber('LIMIT_MAX_MEMORY_MB', 1024), integer: true },
+  cpus: { default: 0.5, min: 0.1, max: envNumber('LIMIT_MAX_CPUS', 1), integer: false },
+  pids: { default: 64, min: 8, max: envNumber('LIMIT_MAX_PIDS', 256), integer: true },
+  outputBytes: { default: 1024 * 1024, min: 1024, max: envNumber('LIMIT_MAX_OUTPUT_BYTES', 8 * 1024 * 1024), integer: true },
+  // Floor leaves room for the usage file GNU time writes under the same limit
+  fileSizeBytes: { default: 16 * 1024 * 1024, min: 4096, max: envNumber('LIMIT_MAX_FILE_SIZE_BYTES', 64 * 1024 * 1024), integer: true },
+  openFiles: { default: 64, min: 16, max: envNumber('LIMIT_MAX_OPEN_FILES', 1024), integer: true }
+};
+
+// An operator ceiling below the built-in default lowers the default too
+const DEFAULT_LIMITS = Object.freeze(Object.fromEntries(
+  Object.entries(LIMITS).map(([name, limit]) => [name, Math.min(limit.default, limit.max)])
+));
+
+// The compiler always gets the default profile, with more time
+const COMPILE_LIMITS = Object.freeze({ ...DEFAULT_LIMITS, timeoutMs: 10000 });
+
+// Size of the tmpfs mounted at /tmp over the sandbox's read-only root; the
+// compilers keep their intermediate files there
+const SCRATCH_TMPFS_MB = 64;
+
+// Size of the tmpfs the Docker-based drivers keep the workspace on; bounds what
+// the sources, the binary and everything a program writes there add up to
+const WORKSPACE_TMPFS_MB = envNumber('WORKSPACE_TMPFS_MB', 128);
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+// Returns { limits } with defaults filled in, or { error } for the first invalid field
+function parseLimits(input) {
+  if (input === undefined || input === null) return { limits: { ...DEFAULT_LIMITS } };
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'limits must be an object' };
+  }
+
+  const unknown = Object.keys(input).find((key) => !LIMITS[key]);
+  if (unknown) return { error: `Unknown limit: ${unknown}` };
+
+  const limits = { ...DEFAULT_LIMITS };
+  for (const [name, value] of Object.entries(input)) {
+    const { min, max, integer } = LIMITS[name];
+    if (typeof value !== 'number' || !Number.isFinite(value) || (integer && !Number.isInteger(value))) {
+      return { error: `limits.${name} must be ${integer ? 'an integer' : 'a number'}` };
+    }
+    if (value < min || value > max) {
+      return { error: `limits.${name} must be between ${min} and ${max}` };
+    }
+    limits[name] = value;
+  }
+  return { limits };
+}
+
+// Docker HostConfig fields for the container-level limits
+function dockerHostLimits(limits) {
+  return {
+    Memory: limits.memoryMb * 1024 * 1024,
+    NanoCpus: Math.round(limits.cpus * 1e9),
+    PidsLimit: limits.pids
+  };
+}
+
+// Prefix a shell command with the per-process limits. The runner's /bin/sh is
+// dash, which counts `ulimit -f` in 512-byte blocks. cpuSeconds adds a CPU time
+// limit for sessions that have no wall-clock timeout.
+function limitedCommand(limits, command, { cpuSeconds = null } = {}) {
+  const ulimits = [
+    `ulimit -f ${Math.ceil(limits.fileSizeBytes / 512)}`,
+    `ulimit -n ${limits.openFiles}`,
+    ...(cpuSeconds ? [`ulimit -t ${cpuSeconds}`] : [])
+  ];
+  return `${ulimits.join(' && ')} && ${command}`;
+}
+
+module.exports = {
+  DEFAULT_LIMITS,
+  COMPILE_LIMITS,
+  SCRATCH_TMPFS_MB,
+  WORKSPACE_TMPFS_MB,
+  parseLimits,
+  dockerHostLimits,
+  limitedCommand
+};
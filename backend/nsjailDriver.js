@@ -0,0 +1,109 @@
+// nsjailDriver.js
+// Sandbox driver that isolates steps with a local nsjail instead of Docker, so
+// the backend needs neither a Docker daemon nor its socket. nsjail chroots into
+// NSJAIL_ROOTFS, an unpacked copy of the runner image, e.g.
+//   docker export $(docker create c-runner:latest) | tar -x -C /srv/c-runner-rootfs
+// with the workspace bind-mounted at /workspace, and runs the step in fresh
+// user/pid/mount/network namespaces inside a cgroup carrying the memory, pids
+// and CPU limits. nsjail (rather than bubblewrap) because it applies those
+// cgroup limits itself. Like the Docker driver's containers, jails keep no
+// capabilities, can't gain privileges, see the rootfs read-only with only the
+// workspace and a size-limited /tmp writable, and deny the dangerous syscalls.
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { runSandboxProcess } = require('./sandboxProcess');
+const { SCRATCH_TMPFS_MB } = require('./limits');
+const { nsjailSeccompPolicy } = require('./seccomp');
+const { workspaceOpened, workspaceClosed } = require('./reaper');
+
+const NSJAIL_PATH = process.env.NSJAIL_PATH || 'nsjail';
+const NSJAIL_ROOTFS = process.env.NSJAIL_ROOTFS || '/srv/c-runner-rootfs';
+
+// The runner image's PATH; nsjail starts with an empty environment
+const SANDBOX_PATH = 'PATH=/usr/local/sbin:/usr/local/bin:/usr/sbin:/usr/bin:/sbin:/bin';
+
+// nsjail argv (binary first) that runs argv in the workspace. timeLimitSeconds
+// is a backstop for our own timers.
+function nsjailCommand(workspace, { limits, env = [], allowPtrace = false, timeLimitSeconds }, argv) {
+  return [
+    NSJAIL_PATH,
+    '--mode', 'o',
+    '--quiet',
+    '--chroot', NSJAIL_ROOTFS,
+    '--bindmount', `${workspace.dir}:/workspace`,
+    '--mount', `none:/tmp:tmpfs:size=${SCRATCH_TMPFS_MB * 1024 * 1024}`,
+    '--cwd', '/workspace',
+    '--user', '1000',
+    '--group', '1000',
+    '--hostname', 'sandbox',
+    '--time_limit', String(timeLimitSeconds),
+    '--use_cgroupv2',
+    '--cgroup_mem_max', String(limits.memoryMb * 1024 * 1024),
+    '--cgroup_pids_max', String(limits.pids),
+    '--cgroup_cpu_ms_per_sec', String(Math.round(limits.cpus * 1000)),
+    // nsjail's default rlimits are tighter than ours and can't be raised from
+    // inside; set them to the profile and leave the address space to the cgroup
+    '--rlimit_fsize', String(Math.ceil(limits.fileSizeBytes / (1024 * 1024))),
+    '--rlimit_nofile', String(limits.openFiles),
+    '--rlimit_as', 'hard',
+    '--seccomp_string', nsjailSeccompPolicy({ allowPtrace }),
+    '--env', SANDBOX_PATH,
+    ...env.flatMap((value) => ['--env', value]),
+    '--',
+    ...argv
+  ];
+}
+
+function backstopSeconds(limits) {
+  return Math.ceil(limits.timeoutMs / 1000) + 1;
+}
+
+async function prepare(runId) {
+  const workspace = { dir: path.join(os.tmpdir(), `c-runner-${runId}`) };
+  await fs.promises.mkdir(workspace.dir, { recursive: true });
+  workspaceOpened(workspace.dir);
+  return workspace;
+}
+
+function compile(workspace, argv, { limits, onOutput }) {
+  const cmd = nsjailCommand(workspace, { limits, timeLimitSeconds: backstopSeconds(limits) }, argv);
+  console.log('Compiling:', cmd.join(' '));
+  return runSandboxProcess(cmd, { timeout: limits.timeoutMs, maxOutputBytes: limits.outputBytes, onOutput });
+}
+
+// No container outlives the step, so there is no separate state to report
+async function run(workspace, command, { limits, env = [], allowPtrace = false, onOutput }) {
+  const cmd = nsjailCommand(workspace, { limits, env, allowPtrace, timeLimitSeconds: backstopSeconds(limits) }, ['/bin/sh', '-c', command]);
+  console.log('Running program:', cmd.join(' '));
+  const result = await runSandboxProcess(cmd, { timeout: limits.timeoutMs, maxOutputBytes: limits.outputBytes, onOutput });
+  return { result, state: null };
+}
+
+function spawnInteractive(workspace, command, { limits, cols, rows, maxDurationMs }) {
+  // Only the interactive server needs node-pty
+  const pty = require('node-pty');
+  const timeLimitSeconds = Math.ceil(maxDurationMs / 1000) + 1;
+  const [file, ...args] = nsjailCommand(workspace, { limits, timeLimitSeconds }, ['/bin/sh', '-c', command]);
+  return pty.spawn(file, args, {
+    name: 'xterm-256color',
+    cols,
+    rows,
+    cwd: process.cwd(),
+    env: process.env
+  });
+}
+
+async function cleanup(workspace) {
+  await fs.promises.rm(workspace.dir, { recursive: true, force: true });
+  workspaceClosed(workspace.dir);
+}
+
+module.exports = {
+  prepare,
+  compile,
+  run,
+  spawnInteractive,
+  cleanup
+};
@@ -0,0 +1,112 @@
+// reaper.js
+// Cleans up after runs whose server went away mid-run (a crash, a SIGKILL) or
+// whose client vanished. Once at startup and then every REAPER_INTERVAL_MS it
+// asks the sandbox driver to reap its leftovers (containers past their deadline
+// or owned by a process that is gone) and removes c-runner-* workspaces in the
+// temp dir that no run of this process is using and that haven't been touched
+// for REAPER_WORKSPACE_MAX_AGE_MS. Workspaces don't record who created them, so
+// the age is what tells a leftover from another server's live run.
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+
+const INTERVAL_MS = Number(process.env.REAPER_INTERVAL_MS) || 60000;
+const WORKSPACE_MAX_AGE_MS = Number(process.env.REAPER_WORKSPACE_MAX_AGE_MS) || 60 * 60 * 1000;
+// c-runner-<run id>; not the compile cache, which shares the prefix and looks
+// after itself
+const WORKSPACE_NAME = /^c-runner-[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Recorded on everything a sandbox driver starts so a later process can tell
+// whether its creator is still alive
+const OWNER = `${os.hostname()}:${process.pid}`;
+const INSTANCE_ID = uuidv4();
+
+const activeWorkspaces = new Set();
+let timer = null;
+
+// Called by the drivers as workspaces are created and removed
+function workspaceOpened(dir) {
+  activeWorkspaces.add(dir);
+}
+
+function workspaceClosed(dir) {
+  activeWorkspaces.delete(dir);
+}
+
+// Whether something labelled with this owner and instance was left behind by a
+// process that is gone. Servers on other hosts are left to their own reaper.
+function isOrphaned({ owner, instance }) {
+  if (!owner || instance === INSTANCE_ID) return false;
+  const separator = owner.lastIndexOf(':');
+  const pid = Number(owner.slice(separator + 1));
+  if (owner.slice(0, separator) !== os.hostname()) return false;
+  // Our pid but not our instance: an earlier run of this server in a restarted container
+  if (pid === process.pid) return true;
+  try {
+    process.kill(pid, 0);
+    return false;
+  } catch (err) {
+    return err.code === 'ESRCH';
+  }
+}
+
+// Remove stale workspaces; resolves with how many were removed
+async function sweepWorkspaces() {
+  const root = os.tmpdir();
+  const entries = await fs.promises.readdir(root, { withFileTypes: true });
+  let removed = 0;
+  for (const entry of entries) {
+    if (!entry.isDirectory() || !WORKSPACE_NAME.test(entry.name)) continue;
+    const dir = path.join(root, entry.name);
+    if (activeWorkspaces.has(dir)) continue;
+    try {
+      const { mtimeMs } = await fs.promises.stat(dir);
+      if (Date.now() - mtimeMs < WORKSPACE_MAX_AGE_MS) continue;
+      await fs.promises.rm(dir, { recursive: true, force: true });
+      removed++;
+    } catch (err) {
+      console.error(`Failed to remove stale workspace ${dir}:`, err.message);
+    }
+  }
+  return removed;
+}
+
+async function reap(sandbox) {
+  let containers = 0;
+  if (sandbox.reap) {
+    try {
+      containers = await sandbox.reap();
+    } catch (err) {
+      console.error('Failed to reap sandbox containers:', err.message);
+    }
+  }
+  const workspaces = await sweepWorkspaces();
+  if (containers > 0 || workspaces > 0) {
+    console.log(`Reaper removed ${containers} container(s) and ${workspaces} workspace(s)`);
+  }
+}
+
+// Startup sweep, then periodic ones
+function startReaper(sandbox) {
+  const sweep = () => reap(sandbox).catch((err) => console.error('Reaper failed:', err.message));
+  sweep();
+  timer = setInterval(sweep, INTERVAL_MS);
+  timer.unref();
+}
+
+function stopReaper() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  OWNER,
+  INSTANCE_ID,
+  workspaceOpened,
+  workspaceClosed,
+  isOrphaned,
+  startReaper,
+  stopReaper
+};
@@ -0,0 +1,64 @@
+// runEvents.js
+// Per-run event channels for streaming runs. Every event gets a sequence id and
+// is kept until shortly after the run ends, so a subscriber that connects late
+// (or reconnects with Last-Event-ID) is replayed what it missed.
+
+const { EventEmitter } = require('events');
+
+// How long a finished run's events stay available for late subscribers
+const CHANNEL_RETENTION_MS = 60 * 1000;
+
+const channels = new Map();
+
+function openChannel(id) {
+  channels.set(id, { events: [], emitter: new EventEmitter(), closed: false });
+}
+
+function hasChannel(id) {
+  return channels.has(id);
+}
+
+function publish(id, event, data) {
+  const channel = channels.get(id);
+  if (!channel || channel.closed) return;
+
+  const entry = { id: channel.events.length + 1, event, data };
+  channel.events.push(entry);
+  channel.emitter.emit('event', entry);
+}
+
+function closeChannel(id) {
+  const channel = channels.get(id);
+  if (!channel || channel.closed) return;
+
+  channel.closed = true;
+  channel.emitter.emit('close');
+  setTimeout(() => channels.delete(id), CHANNEL_RETENTION_MS).unref();
+}
+
+// Replay events after lastEventId, then follow live ones. Returns an unsubscribe function.
+function subscribe(id, lastEventId, onEvent, onClose) {
+  const channel = channels.get(id);
+  for (const entry of channel.events) {
+    if (entry.id > lastEventId) onEvent(entry);
+  }
+  if (channel.closed) {
+    onClose();
+    return () => {};
+  }
+
+  channel.emitter.on('event', onEvent);
+  channel.emitter.once('close', onClose);
+  return () => {
+    channel.emitter.off('event', onEvent);
+    channel.emitter.off('close', onClose);
+  };
+}
+
+module.exports = {
+  openChannel,
+  hasChannel,
+  publish,
+  closeChannel,
+  subscribe
+};
@@ -0,0 +1,116 @@
+// runStatus.js
+// Works out how a program ended and what it used. Programs run under GNU time,
+// which records the wait status (exit code or terminating signal) and rusage of
+// the program itself in USAGE_FILE. Sandbox drivers that give every run its own
+// container also report that container's state, so the exit code and OOM flag
+// come from Docker rather than from the exit code of the docker CLI.
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const USAGE_FILE = 'usage.txt';
+// elapsed seconds, user CPU seconds, system CPU seconds, max RSS in KB
+const USAGE_FORMAT = 'usage %e %U %S %M';
+
+const SIGNAL_NAMES = Object.fromEntries(
+  Object.entries(os.constants.signals).map(([name, number]) => [number, name])
+);
+
+// Shell command that runs `command` under GNU time
+function measuredCommand(command) {
+  return `/usr/bin/time -o ${USAGE_FILE} -f '${USAGE_FORMAT}' ${command}`;
+}
+
+// Parse and remove the usage file; null if the program never got that far
+async function readUsage(workspaceDir) {
+  const usagePath = path.join(workspaceDir, USAGE_FILE);
+  let text;
+  try {
+    text = await fs.promises.readFile(usagePath, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+  // The judge runs several times in one workspace; never read a stale file
+  await fs.promises.rm(usagePath, { force: true });
+
+  const usage = { exitCode: 0, signal: null, wallTimeMs: null, cpuTimeMs: null, peakMemoryKb: null };
+  for (const line of text.split('\n')) {
+    let match;
+    if ((match = line.match(/^Command terminated by signal (\d+)/))) {
+      usage.exitCode = null;
+      usage.signal = signalName(Number(match[1]));
+    } else if ((match = line.match(/^Command exited with non-zero status (\d+)/))) {
+      usage.exitCode = Number(match[1]);
+    } else if ((match = line.match(/^usage ([\d.]+) ([\d.]+) ([\d.]+) (\d+)$/))) {
+      usage.wallTimeMs = Math.round(Number(match[1]) * 1000);
+      usage.cpuTimeMs = Math.round((Number(match[2]) + Number(match[3])) * 1000);
+      usage.peakMemoryKb = Number(match[4]);
+    }
+  }
+  return usage.wallTimeMs === null ? null : usage;
+}
+
+// Combine what the process, GNU time and the container saw into the reported status.
+// exitCode is null when the program was killed by a signal.
+function runStatus({ result, usage, state, elapsedMs }) {
+  let exitCode = result.error ? -1 : result.code;
+  let signal = null;
+
+  if (usage) {
+    exitCode = usage.exitCode;
+    signal = usage.signal;
+  } else if (state && !state.running) {
+    // No usage file (the program never started): fall back to the shell's 128+n convention
+    ({ exitCode, signal } = exitStatus(state.exitCode));
+  }
+  // We stopped it ourselves: past the timeout or the output cap
+  const killedByUs = result.timedOut || result.truncated;
+  if (killedByUs) {
+    exitCode = null;
+    signal = 'SIGKILL';
+  }
+
+  // Pooled runs share one long-lived container, so there is no per-run OOM flag;
+  // inside the sandbox only the kernel's OOM killer sends SIGKILL unprompted
+  const oomKilled = state
+    ? state.oomKilled
+    : signal === 'SIGKILL' && !killedByUs;
+
+  let wallTimeMs = usage ? usage.wallTimeMs : elapsedMs;
+  if (state && !state.running && state.finishedAt > state.startedAt) {
+    wallTimeMs = state.finishedAt - state.startedAt;
+  }
+
+  return {
+    exitCode,
+    signal,
+    oomKilled,
+    timedOut: result.timedOut,
+    wallTimeMs,
+    cpuTimeMs: usage ? usage.cpuTimeMs : null,
+    peakMemoryKb: usage ? usage.peakMemoryKb : null
+  };
+}
+
+// Exit code and signal name from a process's exit code, which is 128+n when it
+// (or the program it ran) was killed by signal n, and the signal number if the
+// process itself was killed. exitCode is null when there was a signal.
+function exitStatus(code, signalNumber = 0) {
+  if (signalNumber) return { exitCode: null, signal: signalName(signalNumber) };
+  if (code > 128 && SIGNAL_NAMES[code - 128]) return { exitCode: null, signal: SIGNAL_NAMES[code - 128] };
+  return { exitCode: code, signal: null };
+}
+
+function signalName(number) {
+  return SIGNAL_NAMES[number] || `SIG${number}`;
+}
+
+module.exports = {
+  USAGE_FILE,
+  measuredCommand,
+  readUsage,
+  runStatus,
+  exitStatus
+};
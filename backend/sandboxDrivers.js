@@ -0,0 +1,54 @@
+// sandboxDrivers.js
+// Registry of sandbox drivers: where and how compile and run steps are isolated.
+// A driver is an object with
+//   prepare(runId, { limits, pooled }) -> workspace with a host directory `dir`
+//   compile(workspace, argv, { limits, onOutput }) -> runSandboxProcess result
+//   run(workspace, command, { limits, env, allowPtrace, onOutput }) -> { result, state }
+//     runs a shell command; `state` is the container's own view of how it ended, or null.
+//     ptrace is denied by the seccomp policy unless allowPtrace is set.
+//   spawnInteractive(workspace, command, { limits, cols, rows, maxDurationMs }) -> node-pty process, or an
+//     object with the same 'data' and 'exit' events, write(), resize() and kill([signal])
+//   cleanup(workspace)
+// and optionally start(), shutdown() and stats() when it keeps resources of its own,
+// and reap() -> number removed, for the reaper to clean up what crashed servers left.
+// SANDBOX_DRIVER picks the driver used by both servers.
+
+const { createDockerDriver } = require('./dockerDriver');
+const nsjailDriver = require('./nsjailDriver');
+
+const drivers = new Map();
+
+const DEFAULT_DRIVER = 'docker';
+const DRIVER_METHODS = ['prepare', 'compile', 'run', 'spawnInteractive', 'cleanup'];
+
+function registerDriver(name, driver) {
+  const missing = DRIVER_METHODS.find((method) => typeof driver[method] !== 'function');
+  if (missing) throw new Error(`Sandbox driver ${name} does not implement ${missing}()`);
+  drivers.set(name, { name, ...driver });
+}
+
+registerDriver('docker', createDockerDriver());
+// Same Docker setup, but containers run on gVisor's user-space kernel
+registerDriver('gvisor', createDockerDriver({ runtime: 'runsc' }));
+registerDriver('nsjail', nsjailDriver);
+
+// Returns { driver } or { error } for an unknown name
+function resolveDriver(name = DEFAULT_DRIVER) {
+  if (!drivers.has(name)) {
+    return { error: `Unknown sandbox driver: ${name} (available: ${[...drivers.keys()].join(', ')})` };
+  }
+  return { driver: drivers.get(name) };
+}
+
+// The driver selected by SANDBOX_DRIVER; a typo should stop the server from starting
+function configuredDriver() {
+  const { driver, error } = resolveDriver(process.env.SANDBOX_DRIVER || DEFAULT_DRIVER);
+  if (error) throw new Error(error);
+  return driver;
+}
+
+module.exports = {
+  registerDriver,
+  resolveDriver,
+  configuredDriver
+};
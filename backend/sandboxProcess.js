@@ -0,0 +1,100 @@
+// sandboxProcess.js
+// Runs a sandbox command (e.g. nsjail ...) with spawn so output can be forwarded
+// chunk by chunk while it is also collected for the final result. The output
+// collector is shared with drivers that get their output some other way.
+
+const { spawn } = require('child_process');
+const { StringDecoder } = require('string_decoder');
+
+// Keeps only the first maxOutputBytes of stdout and stderr together; onLimit()
+// is called once when a chunk goes past that, and `outputBytes` keeps counting
+// what was written. onOutput(stream, text) is called for every kept chunk.
+function createOutputCollector({ maxOutputBytes, onOutput = () => {}, onLimit = () => {} }) {
+  const kept = { stdout: [], stderr: [] };
+  // Keep multi-byte characters split across chunks intact for onOutput
+  const decoders = { stdout: new StringDecoder('utf8'), stderr: new StringDecoder('utf8') };
+  let keptBytes = 0;
+  let outputBytes = 0;
+  let truncated = false;
+
+  return {
+    push(stream, chunk) {
+      outputBytes += chunk.length;
+      if (truncated) return;
+
+      const room = maxOutputBytes - keptBytes;
+      const part = chunk.length > room ? chunk.subarray(0, room) : chunk;
+      kept[stream].push(part);
+      keptBytes += part.length;
+      if (part.length > 0) onOutput(stream, decoders[stream].write(part));
+
+      if (part !== chunk) {
+        truncated = true;
+        onLimit();
+      }
+    },
+
+    // { stdout, stderr, truncated, outputBytes }
+    result() {
+      return {
+        stdout: Buffer.concat(kept.stdout).toString('utf8'),
+        stderr: Buffer.concat(kept.stderr).toString('utf8'),
+        truncated,
+        outputBytes
+      };
+    }
+  };
+}
+
+// Resolves with { stdout, stderr, code, signal, timedOut, truncated, outputBytes, error }.
+// Past maxOutputBytes of output the process is killed and `truncated` is set.
+function runSandboxProcess(cmd, { timeout, maxOutputBytes, onOutput = () => {} }) {
+  return new Promise((resolve) => {
+    const child = spawn(cmd[0], cmd.slice(1), { stdio: ['ignore', 'pipe', 'pipe'] });
+    let timedOut = false;
+    let spawnError = null;
+
+    // Leftover grandchildren may still hold the pipes open; drop them so
+    // 'close' fires as soon as the process itself is gone
+    const stop = () => {
+      child.kill('SIGKILL');
+      child.stdout.destroy();
+      child.stderr.destroy();
+    };
+
+    const output = createOutputCollector({ maxOutputBytes, onOutput, onLimit: stop });
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      stop();
+    }, timeout);
+
+    for (const stream of ['stdout', 'stderr']) {
+      child[stream].on('data', (chunk) => output.push(stream, chunk));
+    }
+
+    child.on('error', (err) => {
+      spawnError = err;
+    });
+
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      const { stdout, stderr, truncated, outputBytes } = output.result();
+      resolve({
+        stdout,
+        stderr: spawnError ? `${stderr}${spawnError.message}` : stderr,
+        code: spawnError ? null : code,
+        signal,
+        timedOut,
+        truncated,
+        outputBytes,
+        error: spawnError
+      });
+    });
+  });
+}
+
+module.exports = {
+  createOutputCollector,
+  runSandboxProcess
+};
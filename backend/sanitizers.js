@@ -0,0 +1,167 @@
+// sanitizers.js
+// AddressSanitizer / UndefinedBehaviorSanitizer run mode. Validates the
+// requested sanitizers, provides the compile flags and runtime environment, and
+// pulls the sanitizer reports out of stderr as structured findings.
+
+const SANITIZERS = ['address', 'undefined'];
+
+// Memory cap for sanitized runs: ASan's shadow memory, redzones and quarantine
+// add roughly 2-3x on top of what the program itself uses
+const SANITIZER_MEMORY_MB = 768;
+
+// Accepts true (all sanitizers), false/undefined (none) or a list of names.
+// Returns { sanitizers } or { error }.
+function parseSanitizers(input) {
+  if (input === undefined || input === null || input === false) return { sanitizers: [] };
+  if (input === true) return { sanitizers: [...SANITIZERS] };
+  if (!Array.isArray(input)) {
+    return { error: 'sanitizers must be a boolean or a list of sanitizer names' };
+  }
+
+  const unknown = input.find((name) => !SANITIZERS.includes(name));
+  if (unknown !== undefined) {
+    return { error: `Unsupported sanitizer: ${unknown} (allowed: ${SANITIZERS.join(', ')})` };
+  }
+  return { sanitizers: SANITIZERS.filter((name) => input.includes(name)) };
+}
+
+function sanitizerFlags(sanitizers) {
+  if (sanitizers.length === 0) return [];
+  return [`-fsanitize=${sanitizers.join(',')}`, '-fno-omit-frame-pointer', '-g'];
+}
+
+// Environment for the sanitized binary, as docker `-e` values
+function sanitizerEnv(sanitizers) {
+  if (sanitizers.length === 0) return [];
+  return [
+    'ASAN_OPTIONS=symbolize=1:detect_leaks=1',
+    'UBSAN_OPTIONS=print_stacktrace=1'
+  ];
+}
+
+const REPORT_SEPARATOR = /^=+$/;
+const ASAN_HEADER = /^==\d+==ERROR: (AddressSanitizer|LeakSanitizer): (.*)$/;
+const LEAK_HEADER = /^(Direct|Indirect) leak of (.*)$/;
+const UBSAN_HEADER = /^(.+?):(\d+):(\d+): runtime error: (.*)$/;
+const FRAME = /^\s*#(\d+) 0x[0-9a-f]+ (?:in (\S+))?\s*(.*)$/;
+const FRAME_LOCATION = /^(.*?):(\d+)(?::(\d+))?$/;
+
+// Split stderr into the program's own output and the sanitizer findings:
+// { sanitizer, kind, message, frames: [{ index, function, file, line, column }], location, summary }
+// ASan/LSan reports run to the end of stderr (the process dies after them);
+// UBSan reports are a header line plus a stack and the program carries on.
+function extractSanitizerReports(stderr) {
+  const lines = stderr.split('\n');
+  const programLines = [];
+  const findings = [];
+  let current = null;
+  let inAsanReport = false;
+  let stackDone = false;
+
+  const finish = () => {
+    if (current) {
+      // UBSan already names the line; otherwise point at the innermost frame in the user's sources
+      if (!current.location) {
+        const frame = current.frames.find(isUserFrame);
+        current.location = frame ? { file: frame.file, line: frame.line, column: frame.column } : null;
+      }
+      findings.push(current);
+    }
+    current = null;
+    stackDone = false;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    // ASan prints a row of '=' right before its ERROR line
+    if (!inAsanReport && REPORT_SEPARATOR.test(line) && ASAN_HEADER.test(lines[i + 1] || '')) {
+      inAsanReport = true;
+      continue;
+    }
+
+    const asan = line.match(ASAN_HEADER);
+    const leak = inAsanReport && line.match(LEAK_HEADER);
+    const ubsan = !inAsanReport && line.match(UBSAN_HEADER);
+
+    if (asan) {
+      finish();
+      inAsanReport = true;
+      // A leak report's findings are the individual "Direct leak of ..." blocks
+      if (asan[1] === 'AddressSanitizer') {
+        current = { sanitizer: 'address', kind: asan[2].split(' ')[0], message: asan[2], frames: [] };
+      }
+    } else if (leak) {
+      finish();
+      current = { sanitizer: 'leak', kind: `${leak[1].toLowerCase()}-leak`, message: line.trim(), frames: [] };
+    } else if (ubsan) {
+      finish();
+      current = {
+        sanitizer: 'undefined',
+        kind: ubsanKind(ubsan[4]),
+        message: ubsan[4],
+        frames: [],
+        location: { file: workspaceRelative(ubsan[1]), line: Number(ubsan[2]), column: Number(ubsan[3]) }
+      };
+    } else if (current && FRAME.test(line)) {
+      // Only the first stack is the faulting one; "allocated by" / "freed by"
+      // stacks that follow are left out
+      if (!stackDone) current.frames.push(parseFrame(line.match(FRAME)));
+    } else if (current && line.trim() === '' && current.frames.length > 0) {
+      stackDone = true;
+      if (!inAsanReport) finish();
+    } else if (line.startsWith('SUMMARY:')) {
+      if (current && current.sanitizer === 'address') current.summary = line.replace(/^SUMMARY:\s*/, '');
+      finish();
+    } else if (!inAsanReport && !current) {
+      programLines.push(line);
+    }
+  }
+  finish();
+
+  return { stderr: programLines.join('\n').trim(), findings };
+}
+
+function parseFrame(match) {
+  const frame = {
+    index: Number(match[1]),
+    function: match[2] || null,
+    file: null,
+    line: null,
+    column: null
+  };
+  const where = match[3] || '';
+  // Frames without debug info look like "(/lib/x86_64-linux-gnu/libc.so.6+0x29d90)"
+  if (!where.startsWith('(')) {
+    const location = where.match(FRAME_LOCATION);
+    if (location) {
+      frame.file = workspaceRelative(location[1]);
+      frame.line = Number(location[2]);
+      frame.column = location[3] ? Number(location[3]) : null;
+    }
+  }
+  return frame;
+}
+
+// "signed integer overflow: 2147483647 + 1 ..." -> "signed-integer-overflow"
+function ubsanKind(message) {
+  const known = message.match(/^([a-z ]+?)(?::| of | on )/);
+  return known ? known[1].trim().replace(/\s+/g, '-') : 'undefined-behavior';
+}
+
+// Workspace paths are made relative, so anything still absolute (or ../) is libc or the runtime
+function isUserFrame(frame) {
+  return frame.line !== null && !frame.file.startsWith('/') && !frame.file.startsWith('.');
+}
+
+function workspaceRelative(file) {
+  return file.replace(/^\/workspace\//, '');
+}
+
+module.exports = {
+  SANITIZER_MEMORY_MB,
+  parseSanitizers,
+  sanitizerFlags,
+  sanitizerEnv,
+  extractSanitizerReports
+};
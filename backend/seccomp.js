@@ -0,0 +1,46 @@
+// seccomp.js
+// Seccomp profiles for the sandbox. seccomp/runner.json is an allowlist in
+// Docker's profile format covering what the shell, the compilers, valgrind and
+// compiled programs need; everything else fails with EPERM. In particular there
+// are no sockets, ptrace, mounts, namespaces (clone is filtered on its flags),
+// BPF, keyrings or module loading. SECCOMP_PROFILE points at a replacement.
+//
+// LeakSanitizer stops the program's threads with ptrace before it scans for
+// leaks, so sanitized runs get a copy of the profile that also allows ptrace.
+
+const fs = require('fs');
+const path = require('path');
+
+const SECCOMP_PROFILE = process.env.SECCOMP_PROFILE || path.join(__dirname, 'seccomp', 'runner.json');
+
+// Denied outright by the nsjail driver, whose kafel policies can't load Docker's
+// format; nsjail already forbids new privileges and keeps no capabilities
+const DENIED_SYSCALLS = [
+  'socket', 'socketpair', 'ptrace', 'process_vm_readv', 'process_vm_writev',
+  'mount', 'umount2', 'pivot_root', 'chroot', 'unshare', 'setns',
+  'bpf', 'perf_event_open', 'userfaultfd', 'keyctl', 'add_key', 'request_key',
+  'init_module', 'finit_module', 'delete_module', 'kexec_load', 'reboot', 'swapon', 'swapoff'
+];
+
+const profiles = new Map();
+
+// Docker seccomp profile (the JSON itself, as the Engine API takes it) for a step
+function seccompProfile({ allowPtrace = false } = {}) {
+  if (!profiles.has(allowPtrace)) {
+    const profile = JSON.parse(fs.readFileSync(SECCOMP_PROFILE, 'utf8'));
+    if (allowPtrace) profile.syscalls.push({ names: ['ptrace'], action: 'SCMP_ACT_ALLOW' });
+    profiles.set(allowPtrace, JSON.stringify(profile));
+  }
+  return profiles.get(allowPtrace);
+}
+
+// nsjail --seccomp_string policy with the same intent
+function nsjailSeccompPolicy({ allowPtrace = false } = {}) {
+  const denied = DENIED_SYSCALLS.filter((name) => !(allowPtrace && name === 'ptrace'));
+  return `ERRNO(1) { ${denied.join(', ')} } DEFAULT ALLOW`;
+}
+
+module.exports = {
+  seccompProfile,
+  nsjailSeccompPolicy
+};
@@ -0,0 +1,152 @@
+// submissions.js
+// Fire-and-forget submissions: a queued job's result is kept here so it can be
+// polled, and optionally POSTed to a callback URL signed with an HMAC of the
+// body so the receiver can tell it came from us.
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { getJob } = require('./jobQueue');
+
+const WEBHOOK_SECRET = process.env.SUBMISSION_WEBHOOK_SECRET || '';
+// Optional comma-separated list of hosts callbacks may be sent to
+const WEBHOOK_ALLOWED_HOSTS = (process.env.SUBMISSION_WEBHOOK_ALLOWED_HOSTS || '')
+  .split(',')
+  .map((host) => host.trim().toLowerCase())
+  .filter(Boolean);
+const SUBMISSION_RETENTION_MS = 60 * 60 * 1000;
+const CALLBACK_TIMEOUT_MS = 10000;
+const CALLBACK_RETRY_DELAYS_MS = [1000, 5000, 25000];
+
+const submissions = new Map();
+
+// Returns { callbackUrl } (possibly null) or { error }
+function parseCallbackUrl(callbackUrl) {
+  if (callbackUrl === undefined || callbackUrl === null) return { callbackUrl: null };
+  if (!WEBHOOK_SECRET) {
+    return { error: 'callbackUrl is not available: webhooks are not configured on this server' };
+  }
+
+  let url;
+  try {
+    url = new URL(callbackUrl);
+  } catch (err) {
+    return { error: 'callbackUrl must be an absolute http(s) URL' };
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return { error: 'callbackUrl must be an absolute http(s) URL' };
+  }
+  if (WEBHOOK_ALLOWED_HOSTS.length > 0 && !WEBHOOK_ALLOWED_HOSTS.includes(url.hostname.toLowerCase())) {
+    return { error: `callbackUrl host ${url.hostname} is not allowed` };
+  }
+  return { callbackUrl: url.toString() };
+}
+
+// Start tracking a queued job as a submission of the given type ('run' or 'judge')
+function trackSubmission(job, { type, callbackUrl }) {
+  const submission = {
+    id: job.id,
+    type,
+    status: null,
+    result: null,
+    error: null,
+    callbackUrl,
+    callback: callbackUrl ? { status: 'pending', attempts: 0, lastError: null } : null
+  };
+  submissions.set(job.id, submission);
+
+  job.promise
+    .then((result) => {
+      submission.status = 'completed';
+      submission.result = result;
+    }, (err) => {
+      submission.status = 'failed';
+      submission.error = `Internal server error: ${err.message}`;
+    })
+    .then(() => {
+      if (submission.callbackUrl) deliverCallback(submission, 0);
+      setTimeout(() => submissions.delete(submission.id), SUBMISSION_RETENTION_MS).unref();
+    });
+
+  return submission;
+}
+
+// Public view: live queue status while pending, the result once finished
+function getSubmission(id) {
+  const submission = submissions.get(id);
+  if (!submission) return null;
+
+  const job = submission.status ? null : getJob(id);
+  return {
+    id: submission.id,
+    type: submission.type,
+    status: submission.status || (job ? job.status : 'queued'),
+    position: job ? job.position : 0,
+    result: submission.result,
+    error: submission.error,
+    callback: submission.callback
+  };
+}
+
+function deliverCallback(submission, attempt) {
+  const body = JSON.stringify(callbackPayload(submission));
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const signature = crypto
+    .createHmac('sha256', WEBHOOK_SECRET)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+
+  const url = new URL(submission.callbackUrl);
+  const transport = url.protocol === 'https:' ? https : http;
+  submission.callback.attempts++;
+
+  const req = transport.request(url, {
+    method: 'POST',
+    timeout: CALLBACK_TIMEOUT_MS,
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body),
+      'X-Submission-Id': submission.id,
+      'X-Signature-Timestamp': timestamp,
+      'X-Signature-256': `sha256=${signature}`
+    }
+  }, (res) => {
+    res.resume();
+    if (res.statusCode >= 200 && res.statusCode < 300) {
+      submission.callback.status = 'delivered';
+      submission.callback.lastError = null;
+    } else {
+      retryCallback(submission, attempt, `Callback responded with HTTP ${res.statusCode}`);
+    }
+  });
+
+  req.on('timeout', () => req.destroy(new Error('Callback timed out')));
+  req.on('error', (err) => retryCallback(submission, attempt, err.message));
+  req.end(body);
+}
+
+function retryCallback(submission, attempt, message) {
+  submission.callback.lastError = message;
+  if (attempt >= CALLBACK_RETRY_DELAYS_MS.length) {
+    submission.callback.status = 'failed';
+    console.error(`[${submission.id}] Giving up on callback: ${message}`);
+    return;
+  }
+  setTimeout(() => deliverCallback(submission, attempt + 1), CALLBACK_RETRY_DELAYS_MS[attempt]).unref();
+}
+
+function callbackPayload(submission) {
+  return {
+    id: submission.id,
+    type: submission.type,
+    status: submission.status,
+    result: submission.result,
+    error: submission.error
+  };
+}
+
+module.exports = {
+  parseCallbackUrl,
+  trackSubmission,
+  getSubmission
+};
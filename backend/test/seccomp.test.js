@@ -0,0 +1,109 @@
+// seccomp.test.js
+// The sandbox's syscall filters deny what a student program must not do. The
+// profile checks run anywhere; the last test runs a program under the real
+// profile in the runner image and is skipped when no Docker daemon answers.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { seccompProfile, nsjailSeccompPolicy } = require('../seccomp');
+
+const FORBIDDEN = ['socket', 'ptrace', 'mount', 'unshare', 'bpf'];
+
+// Syscalls a Docker profile lets through unconditionally or on some arguments
+function allowedSyscalls(profile) {
+  return new Set(profile.syscalls
+    .filter((rule) => rule.action === 'SCMP_ACT_ALLOW')
+    .flatMap((rule) => rule.names));
+}
+
+// Syscalls in the ERRNO block of an nsjail kafel policy
+function deniedSyscalls(policy) {
+  const [, list] = policy.match(/ERRNO\(1\) \{ ([^}]*) \}/);
+  return new Set(list.split(', '));
+}
+
+test('Docker profile fails everything it does not allow with EPERM', () => {
+  const profile = JSON.parse(seccompProfile());
+  assert.strictEqual(profile.defaultAction, 'SCMP_ACT_ERRNO');
+  assert.strictEqual(profile.defaultErrnoRet, 1);
+});
+
+test('Docker profile does not allow forbidden syscalls', () => {
+  const allowed = allowedSyscalls(JSON.parse(seccompProfile()));
+  for (const name of FORBIDDEN) {
+    assert.ok(!allowed.has(name), `${name} is allowed`);
+  }
+});
+
+test('Docker profile allows ptrace only with allowPtrace', () => {
+  const allowed = allowedSyscalls(JSON.parse(seccompProfile({ allowPtrace: true })));
+  assert.ok(allowed.has('ptrace'));
+  for (const name of FORBIDDEN.filter((name) => name !== 'ptrace')) {
+    assert.ok(!allowed.has(name), `${name} is allowed`);
+  }
+});
+
+test('nsjail policy denies forbidden syscalls', () => {
+  const policy = nsjailSeccompPolicy();
+  assert.match(policy, /DEFAULT ALLOW$/);
+  const denied = deniedSyscalls(policy);
+  for (const name of FORBIDDEN) {
+    assert.ok(denied.has(name), `${name} is not denied`);
+  }
+});
+
+test('nsjail policy allows ptrace only with allowPtrace', () => {
+  const denied = deniedSyscalls(nsjailSeccompPolicy({ allowPtrace: true }));
+  assert.ok(!denied.has('ptrace'));
+  for (const name of FORBIDDEN.filter((name) => name !== 'ptrace')) {
+    assert.ok(denied.has(name), `${name} is not denied`);
+  }
+});
+
+const PROBE = `#include <errno.h>
+#include <stdio.h>
+#include <sys/ptrace.h>
+#include <sys/socket.h>
+
+int main(void) {
+    errno = 0;
+    int fd = socket(AF_INET, SOCK_STREAM, 0);
+    printf("socket %d %d\\n", fd, errno);
+    errno = 0;
+    long traced = ptrace(PTRACE_TRACEME, 0, 0, 0);
+    printf("ptrace %ld %d\\n", traced, errno);
+    return 0;
+}
+`;
+
+test('socket() and ptrace() fail with EPERM in the sandbox', { timeout: 120000 }, async (t) => {
+  const docker = require('../dockerApi');
+  try {
+    await docker.listContainers({});
+  } catch (err) {
+    t.skip(`no Docker daemon: ${err.message}`);
+    return;
+  }
+
+  const { resolveDriver } = require('../sandboxDrivers');
+  const { resolveCompiler, compileCommand } = require('../compilers');
+  const { DEFAULT_LIMITS, COMPILE_LIMITS } = require('../limits');
+  const { driver } = resolveDriver('docker');
+  const { compiler } = resolveCompiler();
+
+  const workspace = await driver.prepare(uuidv4(), { limits: DEFAULT_LIMITS, pooled: false });
+  try {
+    fs.writeFileSync(path.join(workspace.dir, 'main.c'), PROBE);
+    const compiled = await driver.compile(workspace, compileCommand(compiler, 'c', [], ['main.c']), { limits: COMPILE_LIMITS });
+    assert.strictEqual(compiled.code, 0, compiled.stderr);
+
+    const { result } = await driver.run(workspace, './main', { limits: DEFAULT_LIMITS });
+    assert.match(result.stdout, /^socket -1 1$/m);
+    assert.match(result.stdout, /^ptrace -1 1$/m);
+  } finally {
+    await driver.cleanup(workspace);
+  }
+});
@@ -0,0 +1,140 @@
+// valgrind.js
+// Valgrind memcheck run mode. Builds the memcheck command line and turns the
+// XML report it writes into invalid-access records and leak summaries mapped
+// back to the user's source files.
+
+const fs = require('fs');
+const path = require('path');
+
+const VALGRIND_XML_FILE = 'valgrind.xml';
+
+// memcheck runs programs 20-50x slower and keeps its own bookkeeping in memory
+const VALGRIND_TIMEOUT_MS = 15000;
+const VALGRIND_MEMORY_MB = 512;
+
+const LEAK_KINDS = {
+  Leak_DefinitelyLost: 'definitelyLost',
+  Leak_IndirectlyLost: 'indirectlyLost',
+  Leak_PossiblyLost: 'possiblyLost',
+  Leak_StillReachable: 'stillReachable'
+};
+
+// Shell command that runs ./main under memcheck
+function valgrindCommand(hasInput) {
+  const cmd = [
+    'valgrind',
+    '--tool=memcheck',
+    '--leak-check=full',
+    '--show-leak-kinds=all',
+    '--track-origins=yes',
+    '--xml=yes',
+    `--xml-file=${VALGRIND_XML_FILE}`,
+    './main'
+  ].join(' ');
+  return hasInput ? `${cmd} < input.txt` : cmd;
+}
+
+// Read the XML memcheck left in the workspace; null if it never got written
+async function readValgrindReport(workspaceDir) {
+  try {
+    const xml = await fs.promises.readFile(path.join(workspaceDir, VALGRIND_XML_FILE), 'utf8');
+    return parseValgrindXml(xml);
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+// Returns { errors, leaks, leakSummary }. Errors are invalid reads/writes,
+// uninitialised values, bad frees etc.; leaks are the Leak_* records.
+function parseValgrindXml(xml) {
+  const errors = [];
+  const leaks = [];
+  const leakSummary = {};
+  for (const name of Object.values(LEAK_KINDS)) {
+    leakSummary[name] = { bytes: 0, blocks: 0 };
+  }
+
+  for (const block of elements(xml, 'error')) {
+    const kind = text(block, 'kind');
+    const stacks = elements(block, 'stack').map((stack) => elements(stack, 'frame').map(parseFrame));
+    const frames = stacks[0] || [];
+    const location = frames.find((frame) => frame.file && frame.line !== null && frame.inWorkspace) || null;
+
+    if (LEAK_KINDS[kind]) {
+      const xwhat = elements(block, 'xwhat')[0] || '';
+      const bytes = Number(text(xwhat, 'leakedbytes')) || 0;
+      const blocks = Number(text(xwhat, 'leakedblocks')) || 0;
+      leakSummary[LEAK_KINDS[kind]].bytes += bytes;
+      leakSummary[LEAK_KINDS[kind]].blocks += blocks;
+      leaks.push({
+        kind: LEAK_KINDS[kind],
+        message: text(xwhat, 'text'),
+        bytes,
+        blocks,
+        frames: frames.map(stripFrame),
+        location: location && stripFrame(location)
+      });
+    } else {
+      errors.push({
+        kind,
+        message: text(block, 'what') || text(elements(block, 'xwhat')[0] || '', 'text'),
+        details: elements(block, 'auxwhat').map(decode),
+        frames: frames.map(stripFrame),
+        location: location && stripFrame(location)
+      });
+    }
+  }
+
+  return { errors, leaks, leakSummary };
+}
+
+function parseFrame(frame) {
+  const dir = text(frame, 'dir');
+  const file = text(frame, 'file');
+  const line = text(frame, 'line');
+  return {
+    function: text(frame, 'fn'),
+    file: file ? workspaceRelative(dir ? `${dir}/${file}` : file) : null,
+    line: line ? Number(line) : null,
+    inWorkspace: !!dir && (dir === '/workspace' || dir.startsWith('/workspace/'))
+  };
+}
+
+function stripFrame({ inWorkspace, ...frame }) {
+  return frame;
+}
+
+function workspaceRelative(file) {
+  return file.replace(/^\/workspace\//, '');
+}
+
+// Contents of every <tag>...</tag> directly inside xml (valgrind's XML is never
+// nested with the same tag, so a non-greedy match is enough)
+function elements(xml, tag) {
+  const pattern = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'g');
+  return [...xml.matchAll(pattern)].map((match) => match[1]);
+}
+
+function text(xml, tag) {
+  const first = elements(xml, tag)[0];
+  return first === undefined ? null : decode(first.trim());
+}
+
+function decode(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+module.exports = {
+  VALGRIND_XML_FILE,
+  VALGRIND_TIMEOUT_MS,
+  VALGRIND_MEMORY_MB,
+  valgrindCommand,
+  readValgrindReport,
+  parseValgrindXml
+};
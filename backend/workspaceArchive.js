@@ -0,0 +1,173 @@
+// workspaceArchive.js
+// Tar archives for copying a workspace between its host directory and the
+// sandbox's tmpfs copy of it. Only directories and regular files are packed, and
+// only regular files are extracted: what comes back was written by the program,
+// so links, devices and names that would land outside the directory are skipped.
+// Names longer than a header field use GNU tar's ././@LongLink entries.
+
+const fs = require('fs');
+const path = require('path');
+
+const BLOCK_SIZE = 512;
+const NAME_LENGTH = 100;
+const LONG_NAME = '././@LongLink';
+
+// Tar of everything under dir, with names relative to it
+async function packDirectory(dir) {
+  const blocks = [];
+
+  async function walk(relative) {
+    const entries = await fs.promises.readdir(path.join(dir, relative), { withFileTypes: true });
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      const name = path.posix.join(relative, entry.name);
+      const fullPath = path.join(dir, name);
+      if (entry.isDirectory()) {
+        const { mode } = await fs.promises.stat(fullPath);
+        blocks.push(...entryBlocks(`${name}/`, { type: '5', mode }));
+        await walk(name);
+      } else if (entry.isFile()) {
+        const [contents, { mode }] = await Promise.all([fs.promises.readFile(fullPath), fs.promises.stat(fullPath)]);
+        blocks.push(...entryBlocks(name, { type: '0', mode, contents }));
+      }
+    }
+  }
+
+  await walk('');
+  // End of archive: two zero blocks
+  blocks.push(Buffer.alloc(BLOCK_SIZE * 2));
+  return Buffer.concat(blocks);
+}
+
+// Header and padded contents of one entry, preceded by a long-name entry when needed
+function entryBlocks(name, { type, mode, contents = Buffer.alloc(0) }) {
+  const blocks = [];
+  if (Buffer.byteLength(name) > NAME_LENGTH) {
+    blocks.push(...entryBlocks(LONG_NAME, { type: 'L', mode: 0, contents: Buffer.from(`${name}\0`) }));
+  }
+  blocks.push(header(name, { type, mode, size: contents.length }));
+  if (contents.length > 0) {
+    blocks.push(contents, Buffer.alloc(padding(contents.length)));
+  }
+  return blocks;
+}
+
+function header(name, { type, mode, size }) {
+  const block = Buffer.alloc(BLOCK_SIZE);
+  block.write(name, 0, NAME_LENGTH);
+  writeOctal(block, 100, 8, mode & 0o7777);
+  writeOctal(block, 108, 8, 1000);
+  writeOctal(block, 116, 8, 1000);
+  writeOctal(block, 124, 12, size);
+  writeOctal(block, 136, 12, Math.floor(Date.now() / 1000));
+  block.write(type, 156, 1);
+  block.write('ustar\0', 257, 6);
+  block.write('00', 263, 2);
+  // The checksum is computed with its own field filled with spaces
+  block.fill(' ', 148, 156);
+  const checksum = block.reduce((sum, byte) => sum + byte, 0);
+  block.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148, 8);
+  return block;
+}
+
+function writeOctal(block, offset, length, value) {
+  block.write(`${value.toString(8).padStart(length - 1, '0')}\0`, offset, length);
+}
+
+function padding(size) {
+  return (BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE;
+}
+
+// Streaming extractor of a tar into dir: write(chunk) as the archive arrives.
+// Files keep only their executable bit; existing files are overwritten, and an
+// entry that can't be written (e.g. a file where a directory is) is skipped.
+function createExtractor(dir) {
+  let pending = Buffer.alloc(0);
+  // Entry being read: { left, data, fd, longName }; `left` counts padding too
+  let entry = null;
+  let longName = null;
+
+  function openEntry(block) {
+    // The archive ends with zero blocks
+    if (block.every((byte) => byte === 0)) return null;
+    const size = readOctal(block, 124, 12);
+    const type = block[156] === 0 ? '0' : String.fromCharCode(block[156]);
+    const name = longName ?? joinName(readString(block, 345, 155), readString(block, 0, NAME_LENGTH));
+    longName = null;
+
+    const opened = { left: size + padding(size), data: size, fd: null, longName: null };
+    if (type === 'L') {
+      opened.longName = [];
+    } else if (type === '0' || type === '7') {
+      opened.fd = openFile(name, readOctal(block, 100, 8));
+    }
+    return opened;
+  }
+
+  function openFile(name, mode) {
+    const target = path.resolve(dir, name);
+    if (!target.startsWith(dir + path.sep)) return null;
+    try {
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      return fs.openSync(target, 'w', mode & 0o111 ? 0o755 : 0o644);
+    } catch (err) {
+      return null;
+    }
+  }
+
+  function consume(bytes) {
+    const data = bytes.subarray(0, Math.max(0, entry.data));
+    entry.data -= data.length;
+    entry.left -= bytes.length;
+    if (entry.fd !== null && data.length > 0) fs.writeSync(entry.fd, data);
+    if (entry.longName && data.length > 0) entry.longName.push(Buffer.from(data));
+    if (entry.left > 0) return;
+
+    if (entry.fd !== null) fs.closeSync(entry.fd);
+    if (entry.longName) longName = Buffer.concat(entry.longName).toString('utf8').replace(/\0.*$/s, '');
+    entry = null;
+  }
+
+  return {
+    write(chunk) {
+      pending = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+      while (pending.length > 0) {
+        if (entry) {
+          const size = Math.min(entry.left, pending.length);
+          const bytes = pending.subarray(0, size);
+          pending = pending.subarray(size);
+          consume(bytes);
+        } else {
+          if (pending.length < BLOCK_SIZE) return;
+          entry = openEntry(pending.subarray(0, BLOCK_SIZE));
+          pending = pending.subarray(BLOCK_SIZE);
+          if (entry && entry.left === 0) consume(Buffer.alloc(0));
+        }
+      }
+    },
+
+    // Close a file the archive ended in the middle of
+    end() {
+      if (entry && entry.fd !== null) fs.closeSync(entry.fd);
+      entry = null;
+    }
+  };
+}
+
+function readString(block, offset, length) {
+  const field = block.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return field.subarray(0, end === -1 ? length : end).toString('utf8');
+}
+
+function readOctal(block, offset, length) {
+  return parseInt(readString(block, offset, length).trim(), 8) || 0;
+}
+
+function joinName(prefix, name) {
+  return prefix ? `${prefix}/${name}` : name;
+}
+
+module.exports = {
+  packDirectory,
+  createExtractor
+};
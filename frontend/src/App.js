@@ -1,6 +1,7 @@
 import React, { useState, useRef } from 'react';
 import Editor from '@monaco-editor/react';
 import axios from 'axios';
+import Terminal from './Terminal';
 import './App.css';
 
 const defaultCode = `#include <stdio.h>
@@ -10,54 +11,164 @@ int main() {
     return 0;
 }`;
 
+const defaultCppCode = `#include <iostream>
+
+int main() {
+    std::cout << "Hello, World!" << std::endl;
+    return 0;
+}`;
+
+// Monaco language id and starter program for each backend `language`
+const languages = {
+  c: { label: 'C', monaco: 'c', defaultCode },
+  cpp: { label: 'C++', monaco: 'cpp', defaultCode: defaultCppCode }
+};
+
+const backendUrl = process.env.REACT_APP_BACKEND_URL || 'http://localhost:3001';
+// Interactive sessions are served by the backend too: http(s):// becomes ws(s)://
+const interactiveUrl = `${backendUrl.replace(/^http/, 'ws').replace(/\/$/, '')}/api/interactive`;
+// Version of the interactive WebSocket protocol this client speaks
+const interactiveProtocol = 1;
+// Pause between attempts to reconnect to an interactive session
+const reconnectDelayMs = 1000;
+
+// What to call a program killed by each signal
+const signalDescriptions = {
+  SIGSEGV: 'Segmentation fault',
+  SIGFPE: 'Floating point exception',
+  SIGABRT: 'Aborted',
+  SIGBUS: 'Bus error',
+  SIGILL: 'Illegal instruction',
+  SIGKILL: 'Killed',
+  SIGXCPU: 'CPU time limit exceeded',
+  SIGXFSZ: 'File size limit exceeded'
+};
+
 function App() {
+  const [language, setLanguage] = useState('c');
   const [code, setCode] = useState(defaultCode);
   const [stdin, setStdin] = useState('');
-  const [interactiveLine, setInteractiveLine] = useState('');
+  const [sanitizers, setSanitizers] = useState(false);
   const [result, setResult] = useState(null);
   const [isRunning, setIsRunning] = useState(false);
+  const [isInteractive, setIsInteractive] = useState(false);
+  // An interactive run shows its output in a terminal, also after it ended
+  const [terminalOpen, setTerminalOpen] = useState(false);
   const wsRef = useRef(null);
+  const terminalRef = useRef(null);
 
   const handleEditorChange = (value) => {
     setCode(value || '');
   };
 
+  const handleLanguageChange = (nextLanguage) => {
+    // Swap the starter program only if the user hasn't edited it
+    if (code === languages[language].defaultCode) {
+      setCode(languages[nextLanguage].defaultCode);
+    }
+    setLanguage(nextLanguage);
+  };
+
   const runCode = async () => {
     setIsRunning(true);
     setResult(null);
-    const backendUrl = process.env.REACT_APP_BACKEND_URL || 'http://localhost:3001';
+    setTerminalOpen(false);
 
     try {
-      // If user provided stdin, use REST API
-      if (stdin.trim() !== '') {
+      // If user provided stdin or wants sanitizer reports, use REST API
+      if (stdin.trim() !== '' || sanitizers) {
         const response = await axios.post(`${backendUrl}/api/run`, {
           code,
-          stdin
+          language,
+          stdin,
+          sanitizers
         });
         setResult(response.data);
+        setIsRunning(false);
       } else {
-        // Use WebSocket for interactive execution
-        wsRef.current = new WebSocket('ws://localhost:3002');
+        // Use WebSocket for interactive execution. If the connection drops
+        // while the program runs, reconnect and resume the session; the server
+        // replays the frames after the last seq we saw.
+        let session = null;
+        let lastSeq = 0;
+        let finished = false;
+        let disconnectedAt = null;
 
-        let outputData = '';
-        wsRef.current.onopen = () => {
-          wsRef.current.send(JSON.stringify({ type: 'code', code }));
+        // Program output goes to the terminal untouched; our notices get lines of their own
+        const writeOutput = (data) => terminalRef.current && terminalRef.current.write(data);
+        const writeNotice = (text) => writeOutput(`\r\n[${text}]\r\n`);
+        const finish = () => {
+          finished = true;
+          wsRef.current.close();
         };
 
-        wsRef.current.onmessage = (event) => {
-          const msg = JSON.parse(event.data);
+        const handleMessage = (msg) => {
+          // Frames the server no longer had when we reconnected
+          if (msg.seq > lastSeq + 1 && session) {
+            writeNotice('Some output was lost while disconnected');
+          }
+          lastSeq = msg.seq;
+
+          if (msg.type === 'hello') {
+            disconnectedAt = null;
+            if (msg.resumed) return;
+            session = msg;
+            const size = terminalRef.current ? terminalRef.current.size() : {};
+            sendMessage({ type: 'code', id: 'run', code, language, ...size });
+          }
+          if (msg.type === 'compiled') {
+            if (msg.success) {
+              setIsInteractive(true);
+            } else {
+              setTerminalOpen(false);
+              setResult({ compileError: msg.stderr || 'Compilation timed out' });
+              finish();
+            }
+          }
           if (msg.type === 'stdout') {
-            outputData += msg.data;
-            setResult({ stdout: outputData });
+            writeOutput(msg.data);
           }
-          if (msg.type === 'compileError') {
-            setResult({ compileError: msg.data });
+          // Notices from the server, in plain text
+          if (msg.type === 'stderr') {
+            writeOutput(msg.data.replace(/\r?\n/g, '\r\n'));
+          }
+          if (msg.type === 'error' || msg.type === 'terminated') {
+            writeNotice(msg.message);
+          }
+          // The code was rejected or the session is gone, nothing is going to run
+          if (msg.type === 'error' && (msg.replyTo === 'run' || msg.code === 'unknown-session')) {
+            finish();
           }
           if (msg.type === 'exit') {
-            setIsRunning(false);
-            wsRef.current.close();
+            setResult({ exitCode: msg.exitCode, signal: msg.signal });
+            finish();
           }
         };
+
+        setTerminalOpen(true);
+        const connect = () => {
+          const ws = new WebSocket(interactiveUrl);
+          wsRef.current = ws;
+          ws.onopen = () => {
+            sendMessage(session
+              ? { type: 'hello', protocol: interactiveProtocol, sessionId: session.sessionId, token: session.token, lastSeq }
+              : { type: 'hello', protocol: interactiveProtocol });
+          };
+          ws.onmessage = (event) => handleMessage(JSON.parse(event.data));
+          ws.onclose = () => {
+            if (!finished && session) {
+              disconnectedAt = disconnectedAt || Date.now();
+              if (Date.now() - disconnectedAt < session.resumeGraceMs) {
+                setTimeout(connect, reconnectDelayMs);
+                return;
+              }
+              writeNotice('Connection lost');
+            }
+            setIsInteractive(false);
+            setIsRunning(false);
+          };
+        };
+        connect();
       }
     } catch (error) {
       console.error('Error running code:', error);
@@ -72,38 +183,71 @@ function App() {
     }
   };
 
-  const sendInteractiveInput = (input) => {
+  const sendMessage = (message) => {
     if (wsRef.current && wsRef.current.readyState === WebSocket.OPEN) {
-      wsRef.current.send(JSON.stringify({ type: 'stdin', data: input + '\n' }));
+      wsRef.current.send(JSON.stringify(message));
     }
   };
 
+  // Keystrokes and size changes of the terminal, while the program runs
+  const sendTerminalInput = (data) => {
+    if (isInteractive) sendMessage({ type: 'stdin', data });
+  };
+
+  const resizeTerminal = (cols, rows) => {
+    if (isInteractive) sendMessage({ type: 'resize', cols, rows });
+  };
+
+  const stopProgram = () => {
+    sendMessage({ type: 'kill' });
+  };
+
+  const formatLocation = (location) =>
+    location ? `${location.file}:${location.line}${location.column ? `:${location.column}` : ''}` : 'unknown location';
+
   const getStatusBadge = () => {
     if (!result) return null;
     if (result.compileError) return React.createElement('span', { className: 'status-badge error' }, 'Compile Error');
+    if (result.sanitizerFindings?.length) return React.createElement('span', { className: 'status-badge error' }, 'Sanitizer Error');
     if (result.timedOut) return React.createElement('span', { className: 'status-badge warning' }, 'Timed Out');
+    if (result.oomKilled) return React.createElement('span', { className: 'status-badge error' }, 'Memory limit exceeded');
+    if (result.signal) return React.createElement('span', { className: 'status-badge error' }, signalDescriptions[result.signal] || `Killed by ${result.signal}`);
     if (result.exitCode === 0 || result.stdout) return React.createElement('span', { className: 'status-badge success' }, 'Success');
     return React.createElement('span', { className: 'status-badge error' }, 'Runtime Error');
   };
 
-  const loadExample = (exampleCode) => setCode(exampleCode);
+  // The examples are C programs
+  const loadExample = (exampleCode) => {
+    setLanguage('c');
+    setCode(exampleCode);
+  };
 
   return (
     <div className="app">
       <header className="app-header">
-        <h1>🛡️ Secure Online C Compiler</h1>
-        <p>Write, compile, and run C code in a safe sandboxed environment</p>
+        <h1>🛡️ Secure Online C/C++ Compiler</h1>
+        <p>Write, compile, and run C and C++ code in a safe sandboxed environment</p>
       </header>
 
       <main className="app-main">
         <div className="editor-panel">
           <div className="panel-header">
             <h2>📝 Code Editor</h2>
+            <select
+              className="language-select"
+              value={language}
+              onChange={(e) => handleLanguageChange(e.target.value)}
+              disabled={isRunning}
+            >
+              {Object.entries(languages).map(([id, { label }]) => (
+                <option key={id} value={id}>{label}</option>
+              ))}
+            </select>
           </div>
           <div className="editor-container">
             <Editor
               height="400px"
-              language="c"
+              language={languages[language].monaco}
               value={code}
               onChange={handleEditorChange}
               theme="vs-dark"
@@ -126,35 +270,24 @@ function App() {
             </div>
             <textarea
               className="stdin-input"
-              placeholder={
-                isRunning && stdin.trim() === ''
-                  ? 'Please enter input'
-                  : 'Enter input data for your program (leave empty for interactive mode)...'
-              }
-              value={isRunning && stdin.trim() === '' ? interactiveLine : stdin}
-              onChange={(e) => {
-                if (isRunning && stdin.trim() === '') {
-                  setInteractiveLine(e.target.value);
-                } else {
-                  setStdin(e.target.value);
-                }
-              }}
-              onKeyDown={(e) => {
-                if (isRunning && stdin.trim() === '') {
-                  if (e.key === 'Enter') {
-                    e.preventDefault();
-                    const toSend = interactiveLine.trim();
-                    if (toSend) {
-                      sendInteractiveInput(toSend);
-                    }
-                    setInteractiveLine('');
-                  }
-                }
-              }}
+              placeholder="Enter input data for your program (leave empty to run it in an interactive terminal)..."
+              value={stdin}
+              onChange={(e) => setStdin(e.target.value)}
+              disabled={isRunning}
               rows="4"
             />
           </div>
 
+          <label className="sanitizer-toggle">
+            <input
+              type="checkbox"
+              checked={sanitizers}
+              onChange={(e) => setSanitizers(e.target.checked)}
+              disabled={isRunning}
+            />
+            🧪 Detect memory errors and undefined behavior (ASan + UBSan)
+          </label>
+
           <button 
             className={`run-button ${isRunning ? 'running' : ''}`}
             onClick={runCode} 
@@ -162,6 +295,11 @@ function App() {
           >
             {isRunning ? '⏳ Running...' : '▶️ Run Code'}
           </button>
+          {isInteractive && (
+            <button className="stop-button" onClick={stopProgram}>
+              ⏹️ Stop
+            </button>
+          )}
         </div>
 
         <div className="output-panel">
@@ -171,7 +309,9 @@ function App() {
           </div>
           
           <div className="output-container">
-            {result ? (
+            {terminalOpen ? (
+              <Terminal ref={terminalRef} onData={sendTerminalInput} onResize={resizeTerminal} />
+            ) : result ? (
               <>
                 {result.compileError && (
                   <div className="output-section error">
@@ -179,6 +319,11 @@ function App() {
                     <pre className="output-content">{result.compileError}</pre>
                   </div>
                 )}
+                {result.truncated && (
+                  <div className="output-truncated">
+                    ✂️ Output truncated: the program was stopped after writing {result.outputBytes} bytes; only the beginning is shown
+                  </div>
+                )}
                 {!result.compileError && (
                   <div className="output-section">
                     <h4>📄 Standard Output</h4>
@@ -187,12 +332,34 @@ function App() {
                     </pre>
                   </div>
                 )}
+                {result.sanitizerFindings?.length > 0 && (
+                  <div className="output-section error">
+                    <h4>🧪 Sanitizer Findings</h4>
+                    <div className="output-content sanitizer-findings">
+                      {result.sanitizerFindings.map((finding, i) => (
+                        <div key={i} className="sanitizer-finding">
+                          <div className="sanitizer-finding-title">
+                            {finding.kind} at {formatLocation(finding.location)}
+                          </div>
+                          <div>{finding.message}</div>
+                          {finding.frames.length > 0 && (
+                            <pre className="sanitizer-frames">
+                              {finding.frames
+                                .map((frame) => `#${frame.index} ${frame.function || '??'}${frame.file ? ` ${formatLocation(frame)}` : ''}`)
+                                .join('\n')}
+                            </pre>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
               </>
             ) : (
               !isRunning && <div className="output-placeholder">Click "Run Code" to see output here</div>
             )}
 
-            {isRunning && (
+            {isRunning && !isInteractive && (
               <div className="output-placeholder">
                 <div className="loading-spinner"></div>
                 <span>Compiling and running your code...</span>
@@ -0,0 +1,66 @@
+import React, { forwardRef, useEffect, useImperativeHandle, useRef } from 'react';
+import { Terminal as XTerm } from '@xterm/xterm';
+import { FitAddon } from '@xterm/addon-fit';
+import '@xterm/xterm/css/xterm.css';
+
+// Terminal sizes the interactive server accepts
+const colsRange = { min: 10, max: 500 };
+const rowsRange = { min: 2, max: 200 };
+
+const clamp = (value, { min, max }) => Math.min(max, Math.max(min, value));
+
+// xterm.js terminal for an interactive program, filling its container. The
+// program's output goes in through the ref's write() as the PTY produced it;
+// keypresses and pastes come out of onData as the bytes a terminal sends
+// (Ctrl+C is \x03, Ctrl+D is \x04, Enter is \r), so the PTY on the server does
+// the line editing, echo and signals. onResize(cols, rows) follows the size.
+const Terminal = forwardRef(function Terminal({ onData, onResize }, ref) {
+  const containerRef = useRef(null);
+  const termRef = useRef(null);
+  // The terminal is created once; it calls whatever handlers were passed last
+  const handlersRef = useRef({ onData, onResize });
+  handlersRef.current = { onData, onResize };
+
+  useEffect(() => {
+    const term = new XTerm({
+      fontFamily: "Monaco, Menlo, 'Ubuntu Mono', monospace",
+      fontSize: 13,
+      cursorBlink: true,
+      scrollback: 5000,
+      theme: { background: '#0f0f23', foreground: '#cccccc' }
+    });
+    const fit = new FitAddon();
+    term.loadAddon(fit);
+    term.open(containerRef.current);
+    fit.fit();
+    term.focus();
+
+    const dataListener = term.onData((data) => handlersRef.current.onData(data));
+    const resizeListener = term.onResize(({ cols, rows }) => {
+      handlersRef.current.onResize(clamp(cols, colsRange), clamp(rows, rowsRange));
+    });
+    const observer = new ResizeObserver(() => fit.fit());
+    observer.observe(containerRef.current);
+    termRef.current = term;
+
+    return () => {
+      observer.disconnect();
+      dataListener.dispose();
+      resizeListener.dispose();
+      term.dispose();
+      termRef.current = null;
+    };
+  }, []);
+
+  useImperativeHandle(ref, () => ({
+    write: (data) => termRef.current && termRef.current.write(data),
+    // Size to start the program with
+    size: () => (termRef.current
+      ? { cols: clamp(termRef.current.cols, colsRange), rows: clamp(termRef.current.rows, rowsRange) }
+      : {})
+  }), []);
+
+  return React.createElement('div', { className: 'terminal-container', ref: containerRef });
+});
+
+export default Terminal;
@@ -5,17 +5,65 @@ import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Textarea } from '@/components/ui/textarea';
 import { Badge } from '@/components/ui/badge';
 import { Separator } from '@/components/ui/separator';
-import { Play, Terminal, AlertCircle, CheckCircle, Clock } from 'lucide-react';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Switch } from '@/components/ui/switch';
+import { Label } from '@/components/ui/label';
+import { Play, Terminal, AlertCircle, CheckCircle, Clock, Scissors } from 'lucide-react';
 import axios from 'axios';
 
+interface SourceLocation {
+  file: string;
+  line: number;
+  column: number | null;
+}
+
+interface SanitizerFrame extends Partial<SourceLocation> {
+  index: number;
+  function: string | null;
+}
+
+interface SanitizerFinding {
+  sanitizer: 'address' | 'undefined' | 'leak';
+  kind: string;
+  message: string;
+  frames: SanitizerFrame[];
+  location: SourceLocation | null;
+  summary?: string;
+}
+
 interface ExecutionResult {
   stdout: string;
   stderr: string;
   compileError: string;
-  exitCode: number;
+  exitCode: number | null;
+  signal?: string | null;
+  oomKilled?: boolean;
   timedOut: boolean;
+  wallTimeMs?: number;
+  cpuTimeMs?: number | null;
+  peakMemoryKb?: number | null;
+  truncated?: boolean;
+  outputBytes?: number;
+  sanitizerFindings?: SanitizerFinding[];
 }
 
+const formatLocation = (location: Partial<SourceLocation> | null) =>
+  location?.file ? `${location.file}:${location.line}${location.column ? `:${location.column}` : ''}` : 'unknown location';
+
+// What to call a program killed by each signal
+const signalDescriptions: Record<string, string> = {
+  SIGSEGV: 'Segmentation fault',
+  SIGFPE: 'Floating point exception',
+  SIGABRT: 'Aborted',
+  SIGBUS: 'Bus error',
+  SIGILL: 'Illegal instruction',
+  SIGKILL: 'Killed',
+  SIGXCPU: 'CPU time limit exceeded',
+  SIGXFSZ: 'File size limit exceeded'
+};
+
+type Language = 'c' | 'cpp';
+
 const defaultCode = `#include <stdio.h>
 
 int main() {
@@ -23,9 +71,24 @@ int main() {
     return 0;
 }`;
 
+const defaultCppCode = `#include <iostream>
+
+int main() {
+    std::cout << "Hello, World!" << std::endl;
+    return 0;
+}`;
+
+// Monaco language id and starter program for each backend `language`
+const languages: Record<Language, { label: string; monaco: string; defaultCode: string }> = {
+  c: { label: 'C', monaco: 'c', defaultCode },
+  cpp: { label: 'C++', monaco: 'cpp', defaultCode: defaultCppCode },
+};
+
 const Index = () => {
+  const [language, setLanguage] = useState<Language>('c');
   const [code, setCode] = useState(defaultCode);
   const [stdin, setStdin] = useState('');
+  const [sanitizers, setSanitizers] = useState(false);
   const [result, setResult] = useState<ExecutionResult | null>(null);
   const [isRunning, setIsRunning] = useState(false);
 
@@ -33,6 +96,20 @@ const Index = () => {
     setCode(value || '');
   };
 
+  const handleLanguageChange = (nextLanguage: Language) => {
+    // Swap the starter program only if the user hasn't edited it
+    if (code === languages[language].defaultCode) {
+      setCode(languages[nextLanguage].defaultCode);
+    }
+    setLanguage(nextLanguage);
+  };
+
+  // The examples are C programs
+  const loadExample = (exampleCode: string) => {
+    setLanguage('c');
+    setCode(exampleCode);
+  };
+
   const runCode = async () => {
     setIsRunning(true);
     setResult(null);
@@ -40,7 +117,9 @@ const Index = () => {
     try {
       const response = await axios.post('http://localhost:3001/api/run', {
         code,
-        stdin
+        language,
+        stdin,
+        sanitizers
       });
       setResult(response.data);
     } catch (error) {
@@ -63,9 +142,18 @@ const Index = () => {
     if (result.compileError) {
       return <Badge variant="destructive" className="gap-1"><AlertCircle className="h-3 w-3" />Compile Error</Badge>;
     }
+    if (result.sanitizerFindings?.length) {
+      return <Badge variant="destructive" className="gap-1"><AlertCircle className="h-3 w-3" />Sanitizer Error</Badge>;
+    }
     if (result.timedOut) {
       return <Badge variant="secondary" className="gap-1"><Clock className="h-3 w-3" />Timed Out</Badge>;
     }
+    if (result.oomKilled) {
+      return <Badge variant="destructive" className="gap-1"><AlertCircle className="h-3 w-3" />Memory limit exceeded</Badge>;
+    }
+    if (result.signal) {
+      return <Badge variant="destructive" className="gap-1"><AlertCircle className="h-3 w-3" />{signalDescriptions[result.signal] || `Killed by ${result.signal}`}</Badge>;
+    }
     if (result.exitCode === 0) {
       return <Badge variant="default" className="gap-1 bg-success text-success-foreground"><CheckCircle className="h-3 w-3" />Success</Badge>;
     }
@@ -76,8 +164,8 @@ const Index = () => {
     <div className="min-h-screen bg-background p-4">
       <div className="mx-auto max-w-7xl">
         <header className="mb-6">
-          <h1 className="text-3xl font-bold text-foreground mb-2">Online C Compiler</h1>
-          <p className="text-muted-foreground">Write, compile, and run C code in a secure sandbox environment</p>
+          <h1 className="text-3xl font-bold text-foreground mb-2">Online C/C++ Compiler</h1>
+          <p className="text-muted-foreground">Write, compile, and run C and C++ code in a secure sandbox environment</p>
         </header>
 
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
@@ -85,13 +173,29 @@ const Index = () => {
           <div className="space-y-4">
             <Card>
               <CardHeader className="pb-3">
-                <CardTitle className="text-lg">Code Editor</CardTitle>
+                <div className="flex items-center justify-between">
+                  <CardTitle className="text-lg">Code Editor</CardTitle>
+                  <Select
+                    value={language}
+                    onValueChange={(value) => handleLanguageChange(value as Language)}
+                    disabled={isRunning}
+                  >
+                    <SelectTrigger className="w-[100px]">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {Object.entries(languages).map(([id, { label }]) => (
+                        <SelectItem key={id} value={id}>{label}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
               </CardHeader>
               <CardContent className="p-0">
                 <div className="border-code-border border rounded-md overflow-hidden">
                   <Editor
                     height="400px"
-                    language="c"
+                    language={languages[language].monaco}
                     value={code}
                     onChange={handleEditorChange}
                     theme="vs-dark"
@@ -122,6 +226,11 @@ const Index = () => {
               </CardContent>
             </Card>
 
+            <div className="flex items-center gap-2">
+              <Switch id="sanitizers" checked={sanitizers} onCheckedChange={setSanitizers} disabled={isRunning} />
+              <Label htmlFor="sanitizers">Detect memory errors and undefined behavior (ASan + UBSan)</Label>
+            </div>
+
             <Button 
               onClick={runCode} 
               disabled={isRunning}
@@ -165,6 +274,13 @@ const Index = () => {
 
                     {!result.compileError && (
                       <>
+                        {result.truncated && (
+                          <div className="flex items-center gap-2 rounded border border-warning p-3 text-sm text-warning">
+                            <Scissors className="h-4 w-4" />
+                            Output truncated: the program was stopped after writing {result.outputBytes} bytes; only the beginning is shown
+                          </div>
+                        )}
+
                         <div>
                           <h4 className="text-sm font-medium mb-2">Standard Output</h4>
                           <pre className="bg-code-bg border border-code-border rounded p-3 text-sm overflow-auto min-h-[80px]">
@@ -172,6 +288,29 @@ const Index = () => {
                           </pre>
                         </div>
 
+                        {result.sanitizerFindings?.length > 0 && (
+                          <div>
+                            <h4 className="text-sm font-medium mb-2 text-error">Sanitizer Findings</h4>
+                            <div className="space-y-3">
+                              {result.sanitizerFindings.map((finding, i) => (
+                                <div key={i} className="bg-code-bg border border-code-border rounded p-3 text-sm">
+                                  <div className="font-medium text-error">
+                                    {finding.kind} at {formatLocation(finding.location)}
+                                  </div>
+                                  <div className="text-muted-foreground">{finding.message}</div>
+                                  {finding.frames.length > 0 && (
+                                    <pre className="mt-2 text-xs overflow-auto text-muted-foreground">
+                                      {finding.frames
+                                        .map((frame) => `#${frame.index} ${frame.function || '??'}${frame.file ? ` ${formatLocation(frame)}` : ''}`)
+                                        .join('\n')}
+                                    </pre>
+                                  )}
+                                </div>
+                              ))}
+                            </div>
+                          </div>
+                        )}
+
                         {result.stderr && (
                           <div>
                             <h4 className="text-sm font-medium mb-2 text-warning">Standard Error</h4>
@@ -184,7 +323,12 @@ const Index = () => {
                         <Separator />
                         
                         <div className="flex items-center justify-between text-sm text-muted-foreground">
-                          <span>Exit Code: {result.exitCode}</span>
+                          <span>
+                            {result.signal ? `Signal: ${result.signal}` : `Exit Code: ${result.exitCode}`}
+                            {result.wallTimeMs != null && ` | Time: ${result.wallTimeMs}ms`}
+                            {result.cpuTimeMs != null && ` | CPU: ${result.cpuTimeMs}ms`}
+                            {result.peakMemoryKb != null && ` | Memory: ${(result.peakMemoryKb / 1024).toFixed(1)}MB`}
+                          </span>
                           <span>Time Limit: 3s | Memory Limit: 256MB</span>
                         </div>
                       </>
@@ -211,7 +355,7 @@ const Index = () => {
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
               <Button
                 variant="outline"
-                onClick={() => setCode(defaultCode)}
+                onClick={() => loadExample(defaultCode)}
                 className="h-auto p-3 text-left"
               >
                 <div>
@@ -222,7 +366,7 @@ const Index = () => {
               
               <Button
                 variant="outline"
-                onClick={() => setCode(`#include <stdio.h>
+                onClick={() => loadExample(`#include <stdio.h>
 
 int main() {
     char name[100];
@@ -241,7 +385,7 @@ int main() {
 
               <Button
                 variant="outline"
-                onClick={() => setCode(`#include <stdio.h>
+                onClick={() => loadExample(`#include <stdio.h>
 
 int main() {
     int *p = NULL;
@@ -258,7 +402,7 @@ int main() {
 
               <Button
                 variant="outline"
-                onClick={() => setCode(`#include <stdio.h>
+                onClick={() => loadExample(`#include <stdio.h>
 
 int main() {
     while(1) {